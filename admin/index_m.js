@@ -3,6 +3,9 @@
 let onChangeCb;
 let devices = [];
 let discovered = [];
+let macros = [];
+let channelPresets = [];
+let sourceNames = [];
 let tokens = { tizen: {}, hj: {} };
 let themeObserverInitialized = false;
 let discoveredRefreshTimer;
@@ -55,6 +58,44 @@ systemDictionary = {
     'Please provide IP or MAC.': { de: 'Bitte IP oder MAC angeben.' },
     'Device already exists.': { de: 'Ger\u00e4t existiert bereits.' },
     'MAC helps to track DHCP changes.': { de: 'MAC hilft bei DHCP-\u00c4nderungen.' },
+    Macros: { de: 'Makros' },
+    'Media Server': { de: 'Medienserver' },
+    'Media Directory': { de: 'Medienverzeichnis' },
+    'Media Server Port (0 = automatic)': { de: 'Medienserver-Port (0 = automatisch)' },
+    'control.playFile serves files from this directory, or from the ioBroker file store, e.g. iobroker:0_userdata.0/doorbell.mp3':
+        {
+            de: 'control.playFile liefert Dateien aus diesem Verzeichnis oder aus dem ioBroker-Dateispeicher, z.B. iobroker:0_userdata.0/doorbell.mp3',
+        },
+    'SmartThings (optional)': { de: 'SmartThings (optional)' },
+    'SmartThings ID': { de: 'SmartThings-ID' },
+    'Max Volume': { de: 'Max. Lautst\u00e4rke' },
+    'Personal Access Token': { de: 'Personal Access Token' },
+    'API URL': { de: 'API-URL' },
+    'Enter the SmartThings device ID per TV in the table above to read and set source, picture and sound mode.': {
+        de: 'SmartThings-Ger\u00e4te-ID pro TV in der Tabelle oben eintragen, um Quelle, Bild- und Tonmodus zu lesen und zu setzen.',
+    },
+    'Add macro': { de: 'Makro hinzuf\u00fcgen' },
+    'TV (empty = all)': { de: 'TV (leer = alle)' },
+    'Delay (ms)': { de: 'Pause (ms)' },
+    Steps: { de: 'Schritte' },
+    'No macros defined': { de: 'Keine Makros definiert' },
+    'Channel presets': { de: 'Senderfavoriten' },
+    'Add channel': { de: 'Sender hinzuf\u00fcgen' },
+    Channel: { de: 'Sender' },
+    'No channel presets defined': { de: 'Keine Senderfavoriten definiert' },
+    'Each preset becomes a button under channels.*, e.g. ARD = 1': {
+        de: 'Jeder Favorit wird ein Button unter channels.*, z.B. ARD = 1',
+    },
+    'Source names': { de: 'Quellennamen' },
+    'Add source name': { de: 'Quellennamen hinzuf\u00fcgen' },
+    Source: { de: 'Quelle' },
+    'No source names defined': { de: 'Keine Quellennamen definiert' },
+    'Custom names for inputs in control.source, e.g. PlayStation = HDMI2': {
+        de: 'Eigene Namen f\u00fcr Eing\u00e4nge in control.source, z.B. PlayStation = HDMI2',
+    },
+    'Steps: keys separated by commas, e.g. KEY_HOME, wait=500, down*3, KEY_ENTER:hold=1000, app=<appId>, text=<text>': {
+        de: 'Schritte: Keys durch Kommas getrennt, z.B. KEY_HOME, wait=500, down*3, KEY_ENTER:hold=1000, app=<appId>, text=<text>',
+    },
 };
 
 function sanitizeName(name) {
@@ -145,9 +186,15 @@ function load(settings, onChange) {
     }
 
     devices = Array.isArray(settings.devices) ? settings.devices : [];
+    macros = Array.isArray(settings.macros) ? settings.macros : [];
+    channelPresets = Array.isArray(settings.channels) ? settings.channels : [];
+    sourceNames = Array.isArray(settings.sourceNames) ? settings.sourceNames : [];
     tokens = parseTokens(settings.tokens || '');
 
     renderDevices();
+    renderMacros();
+    renderChannelPresets();
+    renderSourceNames();
     renderDiscovered();
     fetchDiscovered();
 
@@ -157,6 +204,15 @@ function load(settings, onChange) {
     $('#btn-add-manual')
         .off('click')
         .on('click', () => addManualDevice());
+    $('#btn-add-macro')
+        .off('click')
+        .on('click', () => addMacro());
+    $('#btn-add-channel')
+        .off('click')
+        .on('click', () => addChannelPreset());
+    $('#btn-add-source')
+        .off('click')
+        .on('click', () => addSourceName());
     onChange(false);
     if (typeof M !== 'undefined' && M.updateTextFields) {
         M.updateTextFields();
@@ -181,6 +237,9 @@ function save(callback) {
     });
 
     obj.devices = devices;
+    obj.macros = macros.filter(m => m && m.name && m.steps);
+    obj.channels = channelPresets.filter(c => c && c.name && c.channel);
+    obj.sourceNames = sourceNames.filter(n => n && n.name && n.source);
     obj.tokens = serializeTokens();
 
     callback(obj);
@@ -245,7 +304,7 @@ function renderDevices() {
     const $tbody = $('#devices-table tbody');
     $tbody.empty();
     if (!devices.length) {
-        $tbody.append(`<tr><td colspan="7" class="grey-text text-darken-1">${_('No devices added')}</td></tr>`);
+        $tbody.append(`<tr><td colspan="9" class="grey-text text-darken-1">${_('No devices added')}</td></tr>`);
         return;
     }
 
@@ -270,6 +329,8 @@ function renderDevices() {
                         <option value="legacy"${apiValue === 'legacy' ? ' selected' : ''}>legacy</option>
                     </select>
                 </td>
+                <td data-title="${labels.smartThingsId}"><input type="text" class="device-smartthings" data-idx="${idx}" value="${d.smartThingsId || ''}" /></td>
+                <td data-title="${labels.maxVolume}"><input type="number" min="0" max="100" class="device-maxvolume" data-idx="${idx}" value="${d.maxVolume || ''}" /></td>
                 <td data-title="${labels.paired}" class="${pairedClass}">${pairedText}</td>
                 <td data-title="${labels.action}">
                     <button class="btn btn-small waves-effect values-buttons btn-pair" type="button" data-idx="${idx}">${_('Pair')}</button>
@@ -292,6 +353,19 @@ function renderDevices() {
             onChangeCb && onChangeCb();
         });
 
+        row.find('.device-smartthings').on('change', function () {
+            const i = parseInt($(this).data('idx'), 10);
+            devices[i].smartThingsId = ($(this).val() || '').trim();
+            onChangeCb && onChangeCb();
+        });
+
+        row.find('.device-maxvolume').on('change', function () {
+            const i = parseInt($(this).data('idx'), 10);
+            const limit = parseInt($(this).val(), 10);
+            devices[i].maxVolume = limit > 0 ? Math.min(100, limit) : '';
+            onChangeCb && onChangeCb();
+        });
+
         row.find('.device-api').on('change', function () {
             const i = parseInt($(this).data('idx'), 10);
             const value = normalizeApiInput($(this).val());
@@ -315,6 +389,156 @@ function renderDevices() {
     initSelects();
 }
 
+function renderMacros() {
+    const $tbody = $('#macros-table tbody');
+    $tbody.empty();
+    if (!macros.length) {
+        $tbody.append(`<tr><td colspan="5" class="grey-text text-darken-1">${_('No macros defined')}</td></tr>`);
+        return;
+    }
+
+    const labels = getTableLabels();
+    macros.forEach((m, idx) => {
+        const row = $(
+            `<tr>
+                <td data-title="${labels.name}"><input type="text" class="macro-field" data-field="name" data-idx="${idx}" /></td>
+                <td data-title="${labels.tv}"><input type="text" class="macro-field" data-field="device" data-idx="${idx}" /></td>
+                <td data-title="${labels.delay}"><input type="number" min="0" class="macro-field" data-field="delay" data-idx="${idx}" /></td>
+                <td data-title="${labels.steps}"><input type="text" class="macro-field" data-field="steps" data-idx="${idx}" /></td>
+                <td data-title="${labels.action}">
+                    <button class="btn btn-small waves-effect values-buttons btn-remove-macro" type="button" data-idx="${idx}">${_('Remove')}</button>
+                </td>
+            </tr>`,
+        );
+        // set values via jQuery to keep quotes and special characters in steps intact
+        row.find('.macro-field').each(function () {
+            const field = $(this).data('field');
+            $(this).val(m[field] !== undefined && m[field] !== null ? m[field] : '');
+        });
+
+        row.find('.macro-field').on('change', function () {
+            const i = parseInt($(this).data('idx'), 10);
+            const field = $(this).data('field');
+            const value = $(this).val();
+            macros[i][field] = field === 'delay' ? parseInt(value, 10) || 0 : value;
+            onChangeCb && onChangeCb();
+        });
+
+        row.find('.btn-remove-macro').on('click', function () {
+            const i = parseInt($(this).data('idx'), 10);
+            macros.splice(i, 1);
+            onChangeCb && onChangeCb();
+            renderMacros();
+        });
+
+        $tbody.append(row);
+    });
+}
+
+function addMacro() {
+    macros.push({ name: '', device: '', delay: 300, steps: '' });
+    onChangeCb && onChangeCb();
+    renderMacros();
+}
+
+function renderChannelPresets() {
+    const $tbody = $('#channels-table tbody');
+    $tbody.empty();
+    if (!channelPresets.length) {
+        $tbody.append(
+            `<tr><td colspan="4" class="grey-text text-darken-1">${_('No channel presets defined')}</td></tr>`,
+        );
+        return;
+    }
+
+    const labels = getTableLabels();
+    channelPresets.forEach((c, idx) => {
+        const row = $(
+            `<tr>
+                <td data-title="${labels.name}"><input type="text" class="channel-field" data-field="name" data-idx="${idx}" /></td>
+                <td data-title="${labels.tv}"><input type="text" class="channel-field" data-field="device" data-idx="${idx}" /></td>
+                <td data-title="${labels.channel}"><input type="text" class="channel-field" data-field="channel" data-idx="${idx}" /></td>
+                <td data-title="${labels.action}">
+                    <button class="btn btn-small waves-effect values-buttons btn-remove-channel" type="button" data-idx="${idx}">${_('Remove')}</button>
+                </td>
+            </tr>`,
+        );
+        row.find('.channel-field').each(function () {
+            const field = $(this).data('field');
+            $(this).val(c[field] !== undefined && c[field] !== null ? c[field] : '');
+        });
+
+        row.find('.channel-field').on('change', function () {
+            const i = parseInt($(this).data('idx'), 10);
+            channelPresets[i][$(this).data('field')] = ($(this).val() || '').trim();
+            onChangeCb && onChangeCb();
+        });
+
+        row.find('.btn-remove-channel').on('click', function () {
+            const i = parseInt($(this).data('idx'), 10);
+            channelPresets.splice(i, 1);
+            onChangeCb && onChangeCb();
+            renderChannelPresets();
+        });
+
+        $tbody.append(row);
+    });
+}
+
+function addChannelPreset() {
+    channelPresets.push({ name: '', device: '', channel: '' });
+    onChangeCb && onChangeCb();
+    renderChannelPresets();
+}
+
+function renderSourceNames() {
+    const $tbody = $('#sources-table tbody');
+    $tbody.empty();
+    if (!sourceNames.length) {
+        $tbody.append(`<tr><td colspan="4" class="grey-text text-darken-1">${_('No source names defined')}</td></tr>`);
+        return;
+    }
+
+    const labels = getTableLabels();
+    sourceNames.forEach((n, idx) => {
+        const row = $(
+            `<tr>
+                <td data-title="${labels.name}"><input type="text" class="source-field" data-field="name" data-idx="${idx}" /></td>
+                <td data-title="${labels.tv}"><input type="text" class="source-field" data-field="device" data-idx="${idx}" /></td>
+                <td data-title="${labels.source}"><input type="text" class="source-field" data-field="source" data-idx="${idx}" /></td>
+                <td data-title="${labels.action}">
+                    <button class="btn btn-small waves-effect values-buttons btn-remove-source" type="button" data-idx="${idx}">${_('Remove')}</button>
+                </td>
+            </tr>`,
+        );
+        row.find('.source-field').each(function () {
+            const field = $(this).data('field');
+            $(this).val(n[field] !== undefined && n[field] !== null ? n[field] : '');
+        });
+
+        row.find('.source-field').on('change', function () {
+            const i = parseInt($(this).data('idx'), 10);
+            sourceNames[i][$(this).data('field')] = ($(this).val() || '').trim();
+            onChangeCb && onChangeCb();
+        });
+
+        row.find('.btn-remove-source').on('click', function () {
+            const i = parseInt($(this).data('idx'), 10);
+            sourceNames.splice(i, 1);
+            onChangeCb && onChangeCb();
+            renderSourceNames();
+        });
+
+        $tbody.append(row);
+    });
+}
+
+function addSourceName() {
+    sourceNames.push({ name: '', device: '', source: '' });
+    onChangeCb && onChangeCb();
+    renderSourceNames();
+}
+
 function addDeviceFromDiscovery(d) {
     if (!d || !d.id) {
         return;
@@ -339,6 +563,7 @@ function addDeviceFromDiscovery(d) {
         source: d.source || '',
         hjAvailable: typeof d.hjAvailable === 'boolean' ? d.hjAvailable : undefined,
         tokenAuthSupport: typeof d.tokenAuthSupport === 'boolean' ? d.tokenAuthSupport : undefined,
+        frameTvSupport: typeof d.frameTvSupport === 'boolean' ? d.frameTvSupport : undefined,
     });
 
     onChangeCb && onChangeCb();
@@ -528,8 +753,15 @@ function getTableLabels() {
         model: _('Model'),
         id: _('ID'),
         api: _('API'),
+        smartThingsId: _('SmartThings ID'),
+        maxVolume: _('Max Volume'),
         foundVia: _('Found Via'),
         paired: _('Paired'),
+        tv: _('TV (empty = all)'),
+        delay: _('Delay (ms)'),
+        steps: _('Steps'),
+        channel: _('Channel'),
+        source: _('Source'),
         action: _('Action'),
     };
 }
@@ -0,0 +1,360 @@
+'use strict';
+
+// Parsers for state values and config entries; kept free of adapter state.
+
+const KEY_HOLD_DEFAULT = 1000;
+const KEY_HOLD_MAX = 10000;
+const SHOW_IMAGE_DURATION = 20;
+const VOLUME_FADE_DURATION = 30;
+
+// control value: app ID, or JSON { appId, actionType?, metaTag? }
+function parseLaunchRequest(value) {
+    if (!value) {
+        return null;
+    }
+    let request = value;
+    if (typeof value === 'string' || typeof value === 'number') {
+        const trimmed = String(value).trim();
+        if (!trimmed.startsWith('{')) {
+            // plain app ID, numeric ones included
+            return trimmed ? { appId: trimmed } : null;
+        }
+        try {
+            request = JSON.parse(trimmed);
+        } catch (e) {
+            return null;
+        }
+    }
+    if (!request || typeof request !== 'object') {
+        return null;
+    }
+    const appId = String(request.appId ?? '').trim();
+    if (!appId) {
+        return null;
+    }
+    return {
+        appId,
+        actionType: request.actionType || request.action_type || '',
+        metaTag: typeof request.metaTag === 'string' ? request.metaTag : '',
+    };
+}
+
+function parseMouseMove(value) {
+    let move = value;
+    if (typeof value === 'string') {
+        try {
+            move = JSON.parse(value);
+        } catch (e) {
+            return null;
+        }
+    }
+    if (!move || typeof move !== 'object') {
+        return null;
+    }
+    const dx = Math.round(Number(move.dx ?? move.x ?? 0));
+    const dy = Math.round(Number(move.dy ?? move.y ?? 0));
+    if (!Number.isFinite(dx) || !Number.isFinite(dy)) {
+        return null;
+    }
+    return { dx, dy };
+}
+
+/**
+ * Parses `control.key` input such as `KEY_HOME`, `home` or `KEY_VOLUP:hold=1500`.
+ * `hold` without a value uses the default hold time.
+ */
+function parseKeyCommand(input) {
+    if (!input || typeof input !== 'string') {
+        return { key: '', holdMs: 0 };
+    }
+    const [keyPart, ...optionParts] = input.split(':');
+    const key = normalizeKeyInput(keyPart);
+    let holdMs = 0;
+    for (const part of optionParts) {
+        const [name, raw] = part.split('=');
+        if (name.trim().toLowerCase() !== 'hold') {
+            continue;
+        }
+        const parsed = parseInt(raw, 10);
+        holdMs = Math.max(1, Math.min(KEY_HOLD_MAX, Number.isFinite(parsed) ? parsed : KEY_HOLD_DEFAULT));
+    }
+    return { key, holdMs };
+}
+
+function normalizeKeyInput(input) {
+    if (!input || typeof input !== 'string') {
+        return '';
+    }
+    const raw = input.trim();
+    if (!raw) {
+        return '';
+    }
+    const upper = raw.toUpperCase();
+    if (upper.startsWith('KEY_')) {
+        return upper;
+    }
+
+    const normalized = raw.toLowerCase().replace(/\s+/g, '');
+    const map = {
+        up: 'KEY_UP',
+        arrowup: 'KEY_UP',
+        down: 'KEY_DOWN',
+        arrowdown: 'KEY_DOWN',
+        left: 'KEY_LEFT',
+        arrowleft: 'KEY_LEFT',
+        right: 'KEY_RIGHT',
+        arrowright: 'KEY_RIGHT',
+        enter: 'KEY_ENTER',
+        ok: 'KEY_ENTER',
+        back: 'KEY_RETURN',
+        return: 'KEY_RETURN',
+        home: 'KEY_HOME',
+        source: 'KEY_SOURCE',
+        menu: 'KEY_MENU',
+        info: 'KEY_INFO',
+        guide: 'KEY_GUIDE',
+        exit: 'KEY_EXIT',
+        volup: 'KEY_VOLUP',
+        volumeup: 'KEY_VOLUP',
+        voldown: 'KEY_VOLDOWN',
+        volumedown: 'KEY_VOLDOWN',
+        mute: 'KEY_MUTE',
+        chup: 'KEY_CHUP',
+        channelup: 'KEY_CHUP',
+        chdown: 'KEY_CHDOWN',
+        channeldown: 'KEY_CHDOWN',
+        play: 'KEY_PLAY',
+        pause: 'KEY_PAUSE',
+        stop: 'KEY_STOP',
+        rewind: 'KEY_REWIND',
+        ff: 'KEY_FF',
+        fastforward: 'KEY_FF',
+        record: 'KEY_REC',
+        red: 'KEY_RED',
+        green: 'KEY_GREEN',
+        yellow: 'KEY_YELLOW',
+        blue: 'KEY_BLUE',
+        0: 'KEY_0',
+        1: 'KEY_1',
+        2: 'KEY_2',
+        3: 'KEY_3',
+        4: 'KEY_4',
+        5: 'KEY_5',
+        6: 'KEY_6',
+        7: 'KEY_7',
+        8: 'KEY_8',
+        9: 'KEY_9',
+    };
+
+    return map[normalized] || upper;
+}
+
+/**
+ * Parses a macro step list such as `KEY_HOME, wait=500, down*3, KEY_ENTER:hold=1000, app=111299001912, text=news`.
+ * Steps are separated by commas or new lines.
+ */
+function parseMacroSteps(input) {
+    if (!input || typeof input !== 'string') {
+        return [];
+    }
+    const steps = [];
+    for (const token of input.split(/[,\n]/)) {
+        const raw = token.trim();
+        if (!raw) {
+            continue;
+        }
+        const assignment = raw.match(/^(wait|delay|app|text)\s*=\s*(.*)$/i);
+        if (assignment) {
+            const type = assignment[1].toLowerCase();
+            const arg = assignment[2];
+            if (type === 'wait' || type === 'delay') {
+                const ms = parseInt(arg, 10);
+                if (Number.isFinite(ms) && ms > 0) {
+                    steps.push({ type: 'wait', ms });
+                }
+            } else if (type === 'app' && arg.trim()) {
+                steps.push({ type: 'app', appId: arg.trim() });
+            } else if (type === 'text' && arg) {
+                steps.push({ type: 'text', text: arg });
+            }
+            continue;
+        }
+        const repeatMatch = raw.match(/^(.*?)\s*\*\s*(\d+)$/);
+        const keyInput = repeatMatch ? repeatMatch[1] : raw;
+        const repeat = repeatMatch ? Math.max(1, Math.min(100, parseInt(repeatMatch[2], 10))) : 1;
+        const { key, holdMs } = parseKeyCommand(keyInput);
+        if (key) {
+            steps.push({ type: 'key', key, holdMs, repeat });
+        }
+    }
+    return steps;
+}
+
+// control value: URL, or JSON { url, title?, mimeType? }
+function parsePlayRequest(value) {
+    let request = value;
+    if (typeof value === 'string') {
+        const trimmed = value.trim();
+        if (trimmed.startsWith('{')) {
+            try {
+                request = JSON.parse(trimmed);
+            } catch (e) {
+                return null;
+            }
+        } else {
+            request = { url: trimmed };
+        }
+    }
+    if (!request || typeof request !== 'object' || typeof request.url !== 'string') {
+        return null;
+    }
+    return /^https?:\/\//i.test(request.url.trim()) ? { ...request, url: request.url.trim() } : null;
+}
+
+function parseMediaTime(value) {
+    if (typeof value === 'number') {
+        return Number.isFinite(value) && value >= 0 ? Math.round(value) : null;
+    }
+    if (typeof value !== 'string' || !value.trim()) {
+        return null;
+    }
+    const trimmed = value.trim();
+    if (/^\d+(\.\d+)?$/.test(trimmed)) {
+        return Math.round(parseFloat(trimmed));
+    }
+    const match = trimmed.match(/^(\d+):(\d{1,2}):(\d{1,2})(?:\.\d+)?$/);
+    if (!match) {
+        return null;
+    }
+    return parseInt(match[1], 10) * 3600 + parseInt(match[2], 10) * 60 + parseInt(match[3], 10);
+}
+
+// Supports a single range: bytes=start-end, bytes=start- and bytes=-suffix.
+function parseByteRange(header, size) {
+    const match = String(header).match(/^bytes=(\d*)-(\d*)$/);
+    if (!match || (!match[1] && !match[2])) {
+        return null;
+    }
+    let start;
+    let end;
+    if (!match[1]) {
+        start = Math.max(0, size - parseInt(match[2], 10));
+        end = size - 1;
+    } else {
+        start = parseInt(match[1], 10);
+        end = match[2] ? Math.min(parseInt(match[2], 10), size - 1) : size - 1;
+    }
+    if (start > end || start >= size) {
+        return null;
+    }
+    return { start, end };
+}
+
+// control value: URL, or JSON { url | file, volume? }
+function parseAnnounceRequest(value) {
+    let request = value;
+    if (typeof value === 'string') {
+        const trimmed = value.trim();
+        if (trimmed.startsWith('{')) {
+            try {
+                request = JSON.parse(trimmed);
+            } catch (e) {
+                return null;
+            }
+        } else {
+            request = { url: trimmed };
+        }
+    }
+    if (!request || typeof request !== 'object') {
+        return null;
+    }
+    const volume = parseInt(request.volume, 10);
+    const result = { volume: Number.isFinite(volume) ? Math.max(0, Math.min(100, volume)) : null };
+    if (typeof request.file === 'string' && request.file.trim()) {
+        return { ...result, file: request.file.trim() };
+    }
+    const play = parsePlayRequest(request);
+    return play ? { ...play, ...result } : null;
+}
+
+// control value: URL, or JSON { url | file, duration? } with the duration in seconds
+function parseShowImageRequest(value) {
+    let request = value;
+    if (typeof value === 'string') {
+        const trimmed = value.trim();
+        if (trimmed.startsWith('{')) {
+            try {
+                request = JSON.parse(trimmed);
+            } catch (e) {
+                return null;
+            }
+        } else {
+            request = { url: trimmed };
+        }
+    }
+    if (!request || typeof request !== 'object') {
+        return null;
+    }
+    const duration = parseFloat(request.duration);
+    const result = { duration: Number.isFinite(duration) && duration > 0 ? duration : SHOW_IMAGE_DURATION };
+    if (typeof request.file === 'string' && request.file.trim()) {
+        return { ...result, file: request.file.trim() };
+    }
+    const url = typeof request.url === 'string' ? request.url.trim() : '';
+    return /^https?:\/\//i.test(url) ? { ...result, url } : null;
+}
+
+// control value: target volume, or JSON { volume, duration? } with the duration in seconds
+function parseVolumeFadeRequest(value) {
+    let request = value;
+    if (typeof value === 'number') {
+        request = { volume: value };
+    } else if (typeof value === 'string') {
+        const trimmed = value.trim();
+        try {
+            request = trimmed.startsWith('{') ? JSON.parse(trimmed) : { volume: trimmed };
+        } catch (e) {
+            return null;
+        }
+    }
+    if (!request || typeof request !== 'object' || request.volume === '' || request.volume === null) {
+        return null;
+    }
+    const volume = Number(request.volume);
+    if (!Number.isFinite(volume)) {
+        return null;
+    }
+    const duration = parseFloat(request.duration);
+    return {
+        volume: Math.max(0, Math.min(100, Math.round(volume))),
+        duration: Number.isFinite(duration) && duration >= 0 ? duration : VOLUME_FADE_DURATION,
+    };
+}
+
+/**
+ * Parses a channel number such as `105` or `5-1` / `5.1` (major-minor on ATSC sets).
+ */
+function parseChannelNumber(value) {
+    const match = String(value ?? '')
+        .trim()
+        .match(/^(\d{1,4})(?:[-.](\d{1,4}))?$/);
+    if (!match) {
+        return null;
+    }
+    return { major: parseInt(match[1], 10), minor: match[2] !== undefined ? parseInt(match[2], 10) : null };
+}
+
+module.exports = {
+    parseLaunchRequest,
+    parseMouseMove,
+    parseKeyCommand,
+    normalizeKeyInput,
+    parseMacroSteps,
+    parsePlayRequest,
+    parseMediaTime,
+    parseByteRange,
+    parseAnnounceRequest,
+    parseShowImageRequest,
+    parseVolumeFadeRequest,
+    parseChannelNumber,
+};
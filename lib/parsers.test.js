@@ -0,0 +1,241 @@
+const assert = require('assert');
+const {
+    parseLaunchRequest,
+    parseMouseMove,
+    parseKeyCommand,
+    parseMacroSteps,
+    parsePlayRequest,
+    parseMediaTime,
+    parseByteRange,
+    parseAnnounceRequest,
+    parseShowImageRequest,
+    parseVolumeFadeRequest,
+    parseChannelNumber,
+} = require('./parsers');
+
+describe('parsers', () => {
+    describe('parseLaunchRequest', () => {
+        it('accepts plain app IDs, numeric ones included', () => {
+            assert.deepStrictEqual(parseLaunchRequest('111299001912'), { appId: '111299001912' });
+            assert.deepStrictEqual(parseLaunchRequest(' org.tizen.browser '), { appId: 'org.tizen.browser' });
+            assert.deepStrictEqual(parseLaunchRequest(3201907018807), { appId: '3201907018807' });
+        });
+
+        it('parses JSON requests', () => {
+            assert.deepStrictEqual(
+                parseLaunchRequest('{"appId":"111299001912","actionType":"DEEP_LINK","metaTag":"v=abc"}'),
+                { appId: '111299001912', actionType: 'DEEP_LINK', metaTag: 'v=abc' },
+            );
+            assert.deepStrictEqual(parseLaunchRequest('{"appId":3201907018807}'), {
+                appId: '3201907018807',
+                actionType: '',
+                metaTag: '',
+            });
+            assert.deepStrictEqual(parseLaunchRequest({ appId: 'x', action_type: 'NATIVE_LAUNCH' }), {
+                appId: 'x',
+                actionType: 'NATIVE_LAUNCH',
+                metaTag: '',
+            });
+        });
+
+        it('rejects invalid requests', () => {
+            assert.strictEqual(parseLaunchRequest(''), null);
+            assert.strictEqual(parseLaunchRequest('  '), null);
+            assert.strictEqual(parseLaunchRequest('{"appId":'), null);
+            assert.strictEqual(parseLaunchRequest('{"metaTag":"x"}'), null);
+            assert.strictEqual(parseLaunchRequest('{"appId":" "}'), null);
+        });
+    });
+
+    describe('parseMouseMove', () => {
+        it('parses dx/dy and x/y', () => {
+            assert.deepStrictEqual(parseMouseMove('{"dx":10,"dy":-5}'), { dx: 10, dy: -5 });
+            assert.deepStrictEqual(parseMouseMove({ x: 2.6, y: '3' }), { dx: 3, dy: 3 });
+            assert.deepStrictEqual(parseMouseMove('{"dx":4}'), { dx: 4, dy: 0 });
+        });
+
+        it('rejects invalid moves', () => {
+            assert.strictEqual(parseMouseMove('10,5'), null);
+            assert.strictEqual(parseMouseMove(null), null);
+            assert.strictEqual(parseMouseMove('{"dx":"left"}'), null);
+        });
+    });
+
+    describe('parseKeyCommand', () => {
+        it('normalizes key names', () => {
+            assert.deepStrictEqual(parseKeyCommand('KEY_HOME'), { key: 'KEY_HOME', holdMs: 0 });
+            assert.deepStrictEqual(parseKeyCommand('key_home'), { key: 'KEY_HOME', holdMs: 0 });
+            assert.deepStrictEqual(parseKeyCommand(' Vol Up '), { key: 'KEY_VOLUP', holdMs: 0 });
+            assert.deepStrictEqual(parseKeyCommand('5'), { key: 'KEY_5', holdMs: 0 });
+        });
+
+        it('parses and clamps the hold time', () => {
+            assert.deepStrictEqual(parseKeyCommand('home:hold=700'), { key: 'KEY_HOME', holdMs: 700 });
+            assert.deepStrictEqual(parseKeyCommand('home:hold'), { key: 'KEY_HOME', holdMs: 1000 });
+            assert.deepStrictEqual(parseKeyCommand('home:hold=99999'), { key: 'KEY_HOME', holdMs: 10000 });
+        });
+
+        it('returns an empty key for invalid input', () => {
+            assert.deepStrictEqual(parseKeyCommand(''), { key: '', holdMs: 0 });
+            assert.deepStrictEqual(parseKeyCommand(null), { key: '', holdMs: 0 });
+        });
+    });
+
+    describe('parseMacroSteps', () => {
+        it('parses keys, repeats, waits, apps and text', () => {
+            assert.deepStrictEqual(
+                parseMacroSteps('KEY_HOME, wait=500, down*3\nKEY_ENTER:hold=1000, app=111299001912, text=news'),
+                [
+                    { type: 'key', key: 'KEY_HOME', holdMs: 0, repeat: 1 },
+                    { type: 'wait', ms: 500 },
+                    { type: 'key', key: 'KEY_DOWN', holdMs: 0, repeat: 3 },
+                    { type: 'key', key: 'KEY_ENTER', holdMs: 1000, repeat: 1 },
+                    { type: 'app', appId: '111299001912' },
+                    { type: 'text', text: 'news' },
+                ],
+            );
+        });
+
+        it('caps repeats and skips empty or invalid steps', () => {
+            assert.deepStrictEqual(parseMacroSteps('up*500'), [{ type: 'key', key: 'KEY_UP', holdMs: 0, repeat: 100 }]);
+            assert.deepStrictEqual(parseMacroSteps('wait=0, , app='), []);
+            assert.deepStrictEqual(parseMacroSteps(undefined), []);
+        });
+    });
+
+    describe('parsePlayRequest', () => {
+        it('accepts URLs and JSON requests', () => {
+            assert.deepStrictEqual(parsePlayRequest(' http://x/a.mp4 '), { url: 'http://x/a.mp4' });
+            assert.deepStrictEqual(parsePlayRequest('{"url":"https://x/a.mp3","title":"A"}'), {
+                url: 'https://x/a.mp3',
+                title: 'A',
+            });
+            assert.deepStrictEqual(parsePlayRequest({ url: 'http://x/b.jpg', mimeType: 'image/jpeg' }), {
+                url: 'http://x/b.jpg',
+                mimeType: 'image/jpeg',
+            });
+        });
+
+        it('rejects other schemes and invalid JSON', () => {
+            assert.strictEqual(parsePlayRequest('ftp://x/a.mp4'), null);
+            assert.strictEqual(parsePlayRequest('{"url":'), null);
+            assert.strictEqual(parsePlayRequest('{"title":"A"}'), null);
+            assert.strictEqual(parsePlayRequest(''), null);
+        });
+    });
+
+    describe('parseMediaTime', () => {
+        it('parses seconds and H:MM:SS', () => {
+            assert.strictEqual(parseMediaTime(90), 90);
+            assert.strictEqual(parseMediaTime('90.6'), 91);
+            assert.strictEqual(parseMediaTime('1:02:03'), 3723);
+            assert.strictEqual(parseMediaTime('0:00:05.500'), 5);
+        });
+
+        it('returns null for empty or invalid values', () => {
+            assert.strictEqual(parseMediaTime(null), null);
+            assert.strictEqual(parseMediaTime(''), null);
+            assert.strictEqual(parseMediaTime(-1), null);
+            assert.strictEqual(parseMediaTime('NOT_IMPLEMENTED'), null);
+        });
+    });
+
+    describe('parseByteRange', () => {
+        it('parses single ranges', () => {
+            assert.deepStrictEqual(parseByteRange('bytes=0-99', 1000), { start: 0, end: 99 });
+            assert.deepStrictEqual(parseByteRange('bytes=500-', 1000), { start: 500, end: 999 });
+            assert.deepStrictEqual(parseByteRange('bytes=-100', 1000), { start: 900, end: 999 });
+            assert.deepStrictEqual(parseByteRange('bytes=900-5000', 1000), { start: 900, end: 999 });
+        });
+
+        it('rejects unsatisfiable or unsupported ranges', () => {
+            assert.strictEqual(parseByteRange('bytes=1000-', 1000), null);
+            assert.strictEqual(parseByteRange('bytes=50-10', 1000), null);
+            assert.strictEqual(parseByteRange('bytes=-', 1000), null);
+            assert.strictEqual(parseByteRange('bytes=0-1,5-9', 1000), null);
+        });
+    });
+
+    describe('parseAnnounceRequest', () => {
+        it('accepts URLs, files and an optional volume', () => {
+            assert.deepStrictEqual(parseAnnounceRequest('http://x/ding.mp3'), {
+                url: 'http://x/ding.mp3',
+                volume: null,
+            });
+            assert.deepStrictEqual(parseAnnounceRequest('{"url":"http://x/ding.mp3","volume":40}'), {
+                url: 'http://x/ding.mp3',
+                volume: 40,
+            });
+            assert.deepStrictEqual(parseAnnounceRequest({ file: ' ding.mp3 ', volume: '150' }), {
+                file: 'ding.mp3',
+                volume: 100,
+            });
+        });
+
+        it('rejects invalid requests', () => {
+            assert.strictEqual(parseAnnounceRequest(''), null);
+            assert.strictEqual(parseAnnounceRequest('{"volume":40}'), null);
+            assert.strictEqual(parseAnnounceRequest('{"url":'), null);
+            assert.strictEqual(parseAnnounceRequest('ding.mp3'), null);
+        });
+    });
+
+    describe('parseShowImageRequest', () => {
+        it('accepts URLs and files with an optional duration', () => {
+            assert.deepStrictEqual(parseShowImageRequest(' http://cam/snap.jpg '), {
+                duration: 20,
+                url: 'http://cam/snap.jpg',
+            });
+            assert.deepStrictEqual(parseShowImageRequest('{"url":"https://cam/snap.jpg","duration":"7.5"}'), {
+                duration: 7.5,
+                url: 'https://cam/snap.jpg',
+            });
+            assert.deepStrictEqual(parseShowImageRequest({ file: 'door.png', duration: 0 }), {
+                duration: 20,
+                file: 'door.png',
+            });
+        });
+
+        it('rejects invalid requests', () => {
+            assert.strictEqual(parseShowImageRequest(''), null);
+            assert.strictEqual(parseShowImageRequest('ftp://cam/snap.jpg'), null);
+            assert.strictEqual(parseShowImageRequest('{"duration":5}'), null);
+            assert.strictEqual(parseShowImageRequest('{"url":'), null);
+        });
+    });
+
+    describe('parseVolumeFadeRequest', () => {
+        it('parses a target volume with an optional duration', () => {
+            assert.deepStrictEqual(parseVolumeFadeRequest(25), { volume: 25, duration: 30 });
+            assert.deepStrictEqual(parseVolumeFadeRequest(' 7.6 '), { volume: 8, duration: 30 });
+            assert.deepStrictEqual(parseVolumeFadeRequest('{"volume":150,"duration":"12.5"}'), {
+                volume: 100,
+                duration: 12.5,
+            });
+            assert.deepStrictEqual(parseVolumeFadeRequest({ volume: 0, duration: 0 }), { volume: 0, duration: 0 });
+        });
+
+        it('rejects invalid requests', () => {
+            assert.strictEqual(parseVolumeFadeRequest(''), null);
+            assert.strictEqual(parseVolumeFadeRequest('loud'), null);
+            assert.strictEqual(parseVolumeFadeRequest('{"duration":10}'), null);
+            assert.strictEqual(parseVolumeFadeRequest('{"volume":'), null);
+        });
+    });
+
+    describe('parseChannelNumber', () => {
+        it('parses major and major-minor numbers', () => {
+            assert.deepStrictEqual(parseChannelNumber('105'), { major: 105, minor: null });
+            assert.deepStrictEqual(parseChannelNumber(7), { major: 7, minor: null });
+            assert.deepStrictEqual(parseChannelNumber('5-1'), { major: 5, minor: 1 });
+            assert.deepStrictEqual(parseChannelNumber(' 5.1 '), { major: 5, minor: 1 });
+        });
+
+        it('rejects anything else', () => {
+            assert.strictEqual(parseChannelNumber(''), null);
+            assert.strictEqual(parseChannelNumber(null), null);
+            assert.strictEqual(parseChannelNumber('ARD'), null);
+            assert.strictEqual(parseChannelNumber('12345'), null);
+        });
+    });
+});
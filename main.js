@@ -9,23 +9,129 @@ const fetch = require('node-fetch');
 const https = require('https');
 const http = require('http');
 const net = require('net');
+const tls = require('tls');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
 const { execFile } = require('child_process');
 const os = require('os');
 const dgram = require('dgram');
 const { XMLParser } = require('fast-xml-parser');
 const LegacyRemote = require('./lib/legacy/LegacyRemote');
 const SamsungHJ = require('./lib/hj/SamsungTv');
+const {
+    parseLaunchRequest,
+    parseMouseMove,
+    parseKeyCommand,
+    parseMacroSteps,
+    parsePlayRequest,
+    parseMediaTime,
+    parseByteRange,
+    parseAnnounceRequest,
+    parseShowImageRequest,
+    parseVolumeFadeRequest,
+    parseChannelNumber,
+} = require('./lib/parsers');
 
 const HJ_DEVICE_CONFIG = {
     appId: '721b6fce-4ee6-48ba-8045-955a539edadb',
     userId: '654321',
 };
 
+// Well-known Tizen app IDs, polled for the foreground app until the installed app list is known.
+const TIZEN_KNOWN_APPS = {
+    3201907018807: 'Netflix',
+    11101200001: 'Netflix',
+    111299001912: 'YouTube',
+    3201512006785: 'Prime Video',
+    3201901017640: 'Disney+',
+    3201606009684: 'Spotify',
+    3201807016597: 'Apple TV',
+    3201512006963: 'Plex',
+    'org.tizen.browser': 'Internet',
+};
+
+// app_type values reported by ed.installedApp.get
+const TIZEN_APP_TYPE_DEEP_LINK = 2;
+const TIZEN_APP_TYPE_NATIVE = 4;
+
+// REST status requests per foreground app refresh; further installed apps are probed on later polls.
+const TIZEN_APP_PROBE_MAX = 6;
+
+// Web browser app; Tizen launches it via the remote channel, H/J sets via DIAL on port 8080.
+const BROWSER_APP_ID = 'org.tizen.browser';
+
+const HJ_POWER_KEYS = new Set(['KEY_POWER', 'KEY_POWEROFF', 'KEY_POWERON']);
+const KEY_PRESS_DURATION = 150;
+// Like a physical remote, a held key is pressed again at this interval so the TV auto-repeats it.
+const KEY_REPEAT_INTERVAL = 200;
+
+const MACRO_STEP_DELAY = 300;
+const MACRO_RESERVED_NAMES = ['running', 'cancel'];
+const CHANNEL_DIGIT_DELAY = 500;
+// Direct-select keys for sets without a readable source list.
+const SOURCE_KEYS = {
+    TV: 'KEY_TV',
+    HDMI1: 'KEY_HDMI1',
+    HDMI2: 'KEY_HDMI2',
+    HDMI3: 'KEY_HDMI3',
+    HDMI4: 'KEY_HDMI4',
+    AV: 'KEY_AV1',
+    COMPONENT: 'KEY_COMPONENT1',
+};
+const TIZEN_DEFAULT_SOURCES = ['TV', 'HDMI1', 'HDMI2', 'HDMI3', 'HDMI4'];
+const VOLUME_STEP_DELAY = 150;
+const VOLUME_FADE_MIN_INTERVAL = 250;
+const VOLUME_COMMANDS = new Set(['volumeUp', 'volumeDown', 'mute', 'volume', 'muted', 'volumeFade']);
+const VOLUME_KEYS = new Set(['KEY_VOLUP', 'KEY_VOLDOWN', 'KEY_MUTE']);
+
 const WS_CONNECT_TIMEOUT = 5000;
 const WS_SEND_DELAY = 200;
 const PAIRING_TIMEOUT = 20000;
 const HJ_INFO_TIMEOUT = 4000;
 const NO_TOKEN = '__no_token__';
+const TIZEN_SESSION_RECONNECT_MIN = 2000;
+const TIZEN_SESSION_RECONNECT_MAX = 60000;
+const TIZEN_REMOTE_CHANNEL = 'samsung.remote.control';
+const TIZEN_ART_CHANNEL = 'com.samsung.art-app';
+const ART_UPLOAD_TIMEOUT = 30000;
+const ART_UPLOAD_MAX_BYTES = 20 * 1024 * 1024;
+const SMARTTHINGS_API_URL = 'https://api.smartthings.com/v1';
+const SMARTTHINGS_TIMEOUT = 5000;
+
+const RENDERING_CONTROL_SERVICE = 'urn:schemas-upnp-org:service:RenderingControl:1';
+const AVTRANSPORT_SERVICE = 'urn:schemas-upnp-org:service:AVTransport:1';
+const MAIN_TV_AGENT_SERVICE = 'urn:samsung.com:service:MainTVAgent2:1';
+const PICTURE_CONTROLS = { brightness: 'Brightness', contrast: 'Contrast', sharpness: 'Sharpness' };
+const PICTURE_DEFAULT_RANGE = { min: 0, max: 100 };
+const MEDIA_POSITION_INTERVAL = 5000;
+const MEDIA_FILES_MAX = 50;
+const MEDIA_STORE_PREFIX = 'iobroker:';
+// The file store only hands out whole files; larger media belongs in the media directory.
+const MEDIA_STORE_MAX_BYTES = 20 * 1024 * 1024;
+const ANNOUNCE_MAX_DURATION = 120000;
+const ANNOUNCE_START_TIMEOUT = 15000;
+const SHOW_IMAGE_MAX_BYTES = 20 * 1024 * 1024;
+const SHOW_IMAGE_FETCH_TIMEOUT = 10000;
+const MEDIA_MIME_TYPES = {
+    mp3: 'audio/mpeg',
+    m4a: 'audio/mp4',
+    aac: 'audio/aac',
+    flac: 'audio/flac',
+    wav: 'audio/wav',
+    ogg: 'audio/ogg',
+    mp4: 'video/mp4',
+    m4v: 'video/mp4',
+    mkv: 'video/x-matroska',
+    avi: 'video/x-msvideo',
+    mov: 'video/quicktime',
+    ts: 'video/mp2t',
+    webm: 'video/webm',
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    png: 'image/png',
+    gif: 'image/gif',
+};
 
 const httpsAgent = new https.Agent({ rejectUnauthorized: false });
 const xmlParser = new XMLParser({ ignoreAttributes: false });
@@ -45,8 +151,14 @@ let scanTimer;
 let configSaveTimer;
 let upnpNotifyServer;
 let upnpNotifyPort = 0;
-let upnpSubscriptionsByDeviceId = new Map(); // deviceId -> { sid, eventUrl, renewTimer, expiresAt }
+let mediaServer;
+let mediaServerStart = null; // pending listen, shared by concurrent callers
+let mediaServerPort = 0;
+let mediaFiles = new Map(); // token -> { source: 'dir' | 'store' | 'memory', path, meta, data, name, mimeType }
+let mediaStoreCache = null; // { meta, path, data } of the file store file served last
+let upnpSubscriptionsByKey = new Map(); // deviceId or `${deviceId}|AVTransport` -> { sid, eventUrl, renewTimer, expiresAt }
 let upnpSidToDeviceId = new Map(); // sid -> deviceId
+let tizenSessions = new Map(); // `${deviceId}|${channel}` -> persistent Tizen WS channel session
 
 function createAdapter() {
     return new utils.Adapter({
@@ -72,8 +184,27 @@ async function onUnload(callback) {
             clearTimeout(configSaveTimer);
             configSaveTimer = null;
         }
+        closeAllTizenSessions();
+        for (const device of devicesById.values()) {
+            stopMacroRun(device);
+            stopMediaPositionPolling(device);
+            stopVolumeFade(device);
+            if (device.appRefreshTimer) {
+                clearTimeout(device.appRefreshTimer);
+                device.appRefreshTimer = null;
+            }
+            if (device.showImageRun) {
+                clearTimeout(device.showImageRun.timer);
+                device.showImageRun = null;
+            }
+            if (device.announceRun) {
+                clearTimeout(device.announceRun.timer);
+                device.announceRun = null;
+            }
+        }
         cleanupUpnpSubscriptions();
         stopUpnpNotifyServer();
+        stopMediaServer();
         callback();
     } catch (e) {
         callback();
@@ -262,7 +393,13 @@ function getConfiguredDevices() {
             source: raw.source || 'config',
             renderingControlUrl: raw.renderingControlUrl || '',
             renderingControlEventUrl: raw.renderingControlEventUrl || '',
+            avTransportUrl: raw.avTransportUrl || '',
+            avTransportEventUrl: raw.avTransportEventUrl || '',
+            mainTvAgentUrl: raw.mainTvAgentUrl || '',
             tokenAuthSupport: typeof raw.tokenAuthSupport === 'boolean' ? raw.tokenAuthSupport : undefined,
+            frameTvSupport: typeof raw.frameTvSupport === 'boolean' ? raw.frameTvSupport : undefined,
+            smartThingsId: typeof raw.smartThingsId === 'string' ? raw.smartThingsId.trim() : '',
+            maxVolume: parseMaxVolume(raw.maxVolume),
             hjAvailable: typeof raw.hjAvailable === 'boolean' ? raw.hjAvailable : undefined,
         };
         result.push(device);
@@ -270,6 +407,12 @@ function getConfiguredDevices() {
     return result;
 }
 
+// Empty or 0 means no limit.
+function parseMaxVolume(value) {
+    const limit = parseInt(value, 10);
+    return Number.isFinite(limit) && limit > 0 ? Math.min(100, limit) : null;
+}
+
 function scheduleConfigSave() {
     if (configSaveTimer) {
         clearTimeout(configSaveTimer);
@@ -343,6 +486,18 @@ function updateConfigDeviceFromDiscovery(match, info) {
             dev.renderingControlEventUrl = info.renderingControlEventUrl;
             updated = true;
         }
+        if (info.avTransportUrl && dev.avTransportUrl !== info.avTransportUrl) {
+            dev.avTransportUrl = info.avTransportUrl;
+            updated = true;
+        }
+        if (info.avTransportEventUrl && dev.avTransportEventUrl !== info.avTransportEventUrl) {
+            dev.avTransportEventUrl = info.avTransportEventUrl;
+            updated = true;
+        }
+        if (info.mainTvAgentUrl && dev.mainTvAgentUrl !== info.mainTvAgentUrl) {
+            dev.mainTvAgentUrl = info.mainTvAgentUrl;
+            updated = true;
+        }
         if (typeof info.hjAvailable === 'boolean' && dev.hjAvailable !== info.hjAvailable) {
             dev.hjAvailable = info.hjAvailable;
             updated = true;
@@ -351,6 +506,10 @@ function updateConfigDeviceFromDiscovery(match, info) {
             dev.tokenAuthSupport = info.tokenAuthSupport;
             updated = true;
         }
+        if (typeof info.frameTvSupport === 'boolean' && dev.frameTvSupport !== info.frameTvSupport) {
+            dev.frameTvSupport = info.frameTvSupport;
+            updated = true;
+        }
     }
 
     if (updated) {
@@ -567,6 +726,7 @@ async function ensureDeviceObjects(device) {
     await ensureState(`${base}.info.paired`, 'Paired', 'boolean', 'indicator', false, true);
     await ensureState(`${base}.info.online`, 'Online', 'boolean', 'indicator.reachable', false, true);
     await ensureState(`${base}.info.tokenAuthSupport`, 'Token Auth Support', 'boolean', 'indicator', false, true);
+    await ensureState(`${base}.info.volumeLimited`, 'Volume Limited', 'number', 'value', 0, true);
     await removeStateIfExists(`${base}.info.remoteAvailable`);
     await removeStateIfExists(`${base}.info.hjAvailable`);
 
@@ -574,18 +734,54 @@ async function ensureDeviceObjects(device) {
     await ensureState(`${base}.state.volume`, 'Volume', 'number', 'value.volume', 0, true);
     await ensureState(`${base}.state.muted`, 'Muted', 'boolean', 'indicator.mute', false, true);
     await ensureState(`${base}.state.app`, 'App', 'string', 'text', '', true);
+    await ensureState(`${base}.state.appId`, 'App ID', 'string', 'text', '', true);
     await ensureState(`${base}.state.source`, 'Source', 'string', 'text', '', true);
+    await ensureState(`${base}.state.appStatus`, 'App Status', 'string', 'json', '', true);
+    await ensureState(`${base}.state.imeActive`, 'Keyboard Active', 'boolean', 'indicator', false, true);
 
     await ensureState(`${base}.control.power`, 'Power', 'boolean', 'switch', false, false);
     await ensureState(`${base}.control.wol`, 'Wake', 'boolean', 'button', false, false);
     await ensureState(`${base}.control.key`, 'Key', 'string', 'text', '', false);
+    await ensureState(`${base}.control.text`, 'Text Input', 'string', 'text', '', false);
+    await ensureState(`${base}.control.mouseMove`, 'Mouse Move', 'string', 'json', '', false);
+    await ensureState(`${base}.control.mouseClick`, 'Mouse Left Click', 'boolean', 'button', false, false);
+    await ensureState(`${base}.control.mouseRightClick`, 'Mouse Right Click', 'boolean', 'button', false, false);
     await ensureState(`${base}.control.volumeUp`, 'Volume Up', 'boolean', 'button', false, false);
     await ensureState(`${base}.control.volumeDown`, 'Volume Down', 'boolean', 'button', false, false);
     await ensureState(`${base}.control.mute`, 'Mute', 'boolean', 'button', false, false);
+    await ensureState(`${base}.control.volume`, 'Set Volume', 'number', 'level.volume', 0, false);
+    await adapter.extendObjectAsync(`${base}.control.volume`, { common: { min: 0, max: 100 } });
+    await ensureState(`${base}.control.muted`, 'Set Muted', 'boolean', 'media.mute', false, false);
+    await ensureState(`${base}.control.volumeFade`, 'Volume Fade', 'string', 'json', '', false);
     await ensureState(`${base}.control.channelUp`, 'Channel Up', 'boolean', 'button', false, false);
     await ensureState(`${base}.control.channelDown`, 'Channel Down', 'boolean', 'button', false, false);
+    await ensureState(`${base}.control.channel`, 'Channel', 'string', 'text', '', false);
     await ensureState(`${base}.control.launchApp`, 'Launch App', 'string', 'text', '', false);
+    await ensureState(`${base}.control.launch`, 'Launch App (JSON)', 'string', 'json', '', false);
+    await ensureState(`${base}.control.openUrl`, 'Open URL', 'string', 'url', '', false);
+    await ensureState(`${base}.control.closeApp`, 'Close App', 'string', 'text', '', false);
+    await ensureState(`${base}.control.appStatus`, 'Query App Status', 'string', 'text', '', false);
     await ensureState(`${base}.control.source`, 'Source', 'string', 'text', '', false);
+    await ensureState(`${base}.control.playUrl`, 'Play Media URL', 'string', 'url', '', false);
+    await ensureState(`${base}.control.playFile`, 'Play Media File', 'string', 'text', '', false);
+    await ensureState(`${base}.control.announce`, 'Announcement', 'string', 'text', '', false);
+    await ensureState(`${base}.control.showImage`, 'Show Image', 'string', 'text', '', false);
+    await ensureState(`${base}.control.mediaPlay`, 'Media Play', 'boolean', 'button.play', false, false);
+    await ensureState(`${base}.control.mediaPause`, 'Media Pause', 'boolean', 'button.pause', false, false);
+    await ensureState(`${base}.control.mediaStop`, 'Media Stop', 'boolean', 'button.stop', false, false);
+    await ensureState(`${base}.control.mediaSeek`, 'Media Seek (s)', 'number', 'level', 0, false);
+
+    await adapter.setObjectNotExistsAsync(`${base}.media`, {
+        type: 'channel',
+        common: { name: 'Media' },
+        native: {},
+    });
+    await ensureState(`${base}.media.state`, 'Transport State', 'string', 'media.state', '', true);
+    await ensureState(`${base}.media.position`, 'Position (s)', 'number', 'media.elapsed', 0, true);
+    await ensureState(`${base}.media.duration`, 'Duration (s)', 'number', 'media.duration', 0, true);
+
+    await syncArtObjects(device);
+    await syncSmartThingsObjects(device);
 }
 
 async function ensureState(id, name, type, role, def, readOnly) {
@@ -645,12 +841,24 @@ async function main() {
         }
     }
 
+    const macros = getConfiguredMacros();
+    const channelPresets = getConfiguredChannelPresets();
+    const sourceNames = getConfiguredSourceNames();
     for (const device of devices) {
         await ensureDeviceObjects(device);
         await updateDeviceInfoStates(device);
+        await syncMacroObjects(device, macros);
+        await syncChannelObjects(device, channelPresets);
+        device.sourceNames = sourceNames.filter(entry => appliesToDevice(entry, device));
+        await updateSourceStates(device);
     }
 
     adapter.subscribeStates('*.control.*');
+    adapter.subscribeStates('*.apps.*');
+    adapter.subscribeStates('*.macros.*');
+    adapter.subscribeStates('*.art.*');
+    adapter.subscribeStates('*.picture.*');
+    adapter.subscribeStates('*.channels.*');
 
     const pollInterval = Math.max(10, parseInt(adapter.config.pollInterval, 10) || 30) * 1000;
     pollTimer = setInterval(pollDevices, pollInterval);
@@ -676,6 +884,13 @@ async function updateDeviceInfoStates(device) {
     }
 }
 
+function findDevice(ref) {
+    if (!ref || typeof ref !== 'string') {
+        return null;
+    }
+    return devicesByName.get(ref) || devicesById.get(normalizeDeviceId(ref)) || null;
+}
+
 function isDevicePaired(device) {
     if (device.api === 'tizen') {
         const token = (tokens.tizen && tokens.tizen[device.id]) || '';
@@ -706,13 +921,77 @@ async function pollDevice(device) {
         await adapter.setStateAsync(`${device.name}.info.online`, status.online, true);
         await adapter.setStateAsync(`${device.name}.state.power`, status.power, true);
         await adapter.setStateAsync(`${device.name}.control.power`, status.power, true);
-        await adapter.setStateAsync(`${device.name}.state.volume`, audio.volume, true);
-        await adapter.setStateAsync(`${device.name}.state.muted`, audio.muted, true);
-
+        checkVolumeFadeInterference(device, audio.volume);
+        await setVolumeState(device, audio.volume);
+        await setMutedState(device, audio.muted);
+        enforceVolumeLimit(device, audio.volume);
+
+        if (status.online && status.power && isSmartThingsEnabled(device)) {
+            refreshSmartThingsStatus(device).catch(e =>
+                adapter.log.debug(`SmartThings status failed for ${device.name}: ${e.message}`),
+            );
+        }
         if (status.online) {
             ensureUpnpEventSubscription(device).catch(e =>
                 adapter.log.debug(`UPnP subscribe failed for ${device.name}: ${e.message}`),
             );
+            ensureAvTransportSubscription(device).catch(e =>
+                adapter.log.debug(`AVTransport subscribe failed for ${device.name}: ${e.message}`),
+            );
+        }
+        if (status.online && status.power) {
+            refreshPictureStatus(device).catch(e =>
+                adapter.log.debug(`Picture status failed for ${device.name}: ${e.message}`),
+            );
+            refreshCurrentSource(device).catch(e =>
+                adapter.log.debug(`Source status failed for ${device.name}: ${e.message}`),
+            );
+            refreshTvChannelStatus(device).catch(e =>
+                adapter.log.debug(`Channel status failed for ${device.name}: ${e.message}`),
+            );
+            if (!device.sourceListLoaded) {
+                device.sourceListLoaded = true;
+                refreshSourceList(device).catch(e => {
+                    device.sourceListLoaded = false;
+                    adapter.log.debug(`Source list refresh failed for ${device.name}: ${e.message}`);
+                });
+            }
+        } else {
+            device.sourceListLoaded = false;
+            await setSourceState(device, '');
+            if (device.tvChannelStates) {
+                await setTvChannelStates(device, '', '', '');
+            }
+        }
+        if (!status.power) {
+            stopMediaPositionPolling(device);
+            stopVolumeFade(device);
+        }
+        if (device.api === 'tizen' && status.online && status.power) {
+            if (isDevicePaired(device)) {
+                startTizenSession(device);
+                if (device.frameTvSupport === true) {
+                    startTizenSession(device, TIZEN_ART_CHANNEL);
+                }
+                if (!device.installedAppsLoaded && !device.tizenDenied) {
+                    device.installedAppsLoaded = true;
+                    refreshInstalledApps(device).catch(e => {
+                        device.installedAppsLoaded = false;
+                        adapter.log.debug(`Installed apps refresh failed for ${device.name}: ${e.message}`);
+                    });
+                }
+            }
+            refreshTizenForegroundApp(device).catch(e =>
+                adapter.log.debug(`Foreground app refresh failed for ${device.name}: ${e.message}`),
+            );
+        } else {
+            closeTizenSession(device.id);
+            device.installedAppsLoaded = false;
+            await setForegroundApp(device, '', '');
+            await setImeActive(device, false);
+            if (device.frameTvSupport === true) {
+                await setArtModeState(device, false);
+            }
         }
     } catch (e) {
         // ignore
@@ -1004,6 +1283,7 @@ async function checkDeviceStatusWithIp(device) {
                     await updateDeviceInfoStates(device);
                 }
             }
+            await updateFrameTvSupport(device, info);
             markSeen(device);
             await enrichAudioStatus(device, status);
             return status;
@@ -1023,6 +1303,7 @@ async function checkDeviceStatusWithIp(device) {
                     await updateDeviceInfoStates(device);
                 }
             }
+            await updateFrameTvSupport(device, info2);
             markSeen(device);
             await enrichAudioStatus(device, status);
             return status;
@@ -1094,7 +1375,14 @@ function onStateChange(id, state) {
     const channel = parts[3];
     const command = parts[4];
 
-    if (channel !== 'control') {
+    if (
+        channel !== 'control' &&
+        channel !== 'apps' &&
+        channel !== 'macros' &&
+        channel !== 'art' &&
+        channel !== 'picture' &&
+        channel !== 'channels'
+    ) {
         return;
     }
 
@@ -1104,11 +1392,63 @@ function onStateChange(id, state) {
         return;
     }
 
-    handleControl(device, id, command, state.val).catch(e => {
+    if (channel === 'macros' && command === 'cancel') {
+        // Bypass the command queue, otherwise the cancel would wait for the macro it should stop.
+        cancelMacro(device, id, state.val).catch(() => undefined);
+        return;
+    }
+
+    if (channel === 'macros') {
+        enqueueDeviceCommand(device, () => handleMacroButton(device, id, command, state.val)).catch(e => {
+            adapter.log.warn(`Failed to run macro ${command} for ${device.name}: ${e.message}`);
+        });
+        return;
+    }
+
+    if (channel === 'art') {
+        enqueueDeviceCommand(device, () => handleArtControl(device, id, command, state.val)).catch(e => {
+            adapter.log.warn(`Failed to execute art ${command} for ${device.name}: ${e.message}`);
+        });
+        return;
+    }
+
+    if (channel === 'channels') {
+        enqueueDeviceCommand(device, () => handleChannelButton(device, id, command, state.val)).catch(e => {
+            adapter.log.warn(`Failed to tune channel ${command} for ${device.name}: ${e.message}`);
+        });
+        return;
+    }
+
+    if (channel === 'picture') {
+        enqueueDeviceCommand(device, () => setPictureValue(device, id, command, state.val)).catch(e => {
+            adapter.log.warn(`Failed to set ${command} for ${device.name}: ${e.message}`);
+        });
+        return;
+    }
+
+    if (channel === 'apps') {
+        enqueueDeviceCommand(device, () => handleAppButton(device, id, command, state.val)).catch(e => {
+            adapter.log.warn(`Failed to launch app ${command} for ${device.name}: ${e.message}`);
+        });
+        return;
+    }
+
+    // Touching the volume ends a running fade right away, not after the queued commands.
+    if (isVolumeControl(command, state.val)) {
+        stopVolumeFade(device);
+    }
+    enqueueDeviceCommand(device, () => handleControl(device, id, command, state.val)).catch(e => {
         adapter.log.warn(`Failed to execute ${command} for ${device.name}: ${e.message}`);
     });
 }
 
+function isVolumeControl(command, value) {
+    if (VOLUME_COMMANDS.has(command)) {
+        return true;
+    }
+    return command === 'key' && typeof value === 'string' && VOLUME_KEYS.has(parseKeyCommand(value).key);
+}
+
 async function handleControl(device, id, command, value) {
     switch (command) {
         case 'power':
@@ -1124,9 +1464,9 @@ async function handleControl(device, id, command, value) {
             return;
         case 'key':
             if (typeof value === 'string' && value.trim()) {
-                const key = normalizeKeyInput(value);
+                const { key, holdMs } = parseKeyCommand(value);
                 if (key) {
-                    await sendKey(device, key);
+                    await sendKey(device, key, { holdMs });
                 }
                 await adapter.setStateAsync(id, '', true);
             }
@@ -1137,22 +1477,185 @@ async function handleControl(device, id, command, value) {
             return sendVolumeStep(device, id, 'KEY_VOLDOWN', -1, value);
         case 'mute':
             return sendMuteToggle(device, id, value);
+        case 'volume':
+            if (value !== null && value !== '' && Number.isFinite(Number(value))) {
+                await setVolume(device, value);
+            }
+            return;
+        case 'muted':
+            return setMuted(device, value);
+        case 'volumeFade': {
+            const request = parseVolumeFadeRequest(value);
+            if (!request) {
+                if (value !== null && value !== '') {
+                    adapter.log.warn(`Invalid volume fade for ${device.name}: ${value}`);
+                }
+                return;
+            }
+            await startVolumeFade(device, request.volume, request.duration * 1000);
+            await adapter.setStateAsync(id, '', true);
+            return;
+        }
         case 'channelUp':
             return sendButton(device, id, 'KEY_CHUP', value);
         case 'channelDown':
             return sendButton(device, id, 'KEY_CHDOWN', value);
+        case 'channel': {
+            if (value === null || value === '') {
+                return;
+            }
+            const channel = parseChannelNumber(value);
+            if (!channel) {
+                adapter.log.warn(`Invalid channel for ${device.name}: ${value}`);
+                return;
+            }
+            await tuneChannel(device, channel);
+            await adapter.setStateAsync(id, '', true);
+            return;
+        }
+        case 'text':
+            if (typeof value === 'string' && value) {
+                await sendText(device, value);
+                await adapter.setStateAsync(id, '', true);
+            }
+            return;
+        case 'mouseMove':
+            if (value) {
+                const move = parseMouseMove(value);
+                if (move) {
+                    await tizenSendMouse(device, 'Move', move);
+                } else {
+                    adapter.log.warn(`Invalid mouse move for ${device.name}: ${value}`);
+                }
+                await adapter.setStateAsync(id, '', true);
+            }
+            return;
+        case 'mouseClick':
+            if (isTruthyValue(value)) {
+                await tizenSendMouse(device, 'LeftClick');
+                await adapter.setStateAsync(id, false, true);
+            }
+            return;
+        case 'mouseRightClick':
+            if (isTruthyValue(value)) {
+                await tizenSendMouse(device, 'RightClick');
+                await adapter.setStateAsync(id, false, true);
+            }
+            return;
+        case 'openUrl':
+            if (typeof value === 'string' && value.trim()) {
+                await openUrl(device, value.trim());
+                await adapter.setStateAsync(id, '', true);
+            }
+            return;
         case 'launchApp':
             if (typeof value === 'string' && value.trim()) {
                 await launchApp(device, value.trim());
                 await adapter.setStateAsync(id, '', true);
             }
             return;
+        case 'launch':
+            if (typeof value === 'string' && value.trim()) {
+                const request = parseLaunchRequest(value);
+                if (request) {
+                    await launchApp(device, request.appId, request);
+                } else {
+                    adapter.log.warn(`Invalid launch request for ${device.name}: ${value}`);
+                }
+                await adapter.setStateAsync(id, '', true);
+            }
+            return;
+        case 'closeApp':
+            if (typeof value === 'string' && value.trim()) {
+                await closeApp(device, value.trim());
+                await adapter.setStateAsync(id, '', true);
+            }
+            return;
+        case 'appStatus':
+            if (typeof value === 'string' && value.trim()) {
+                const status = await getAppStatus(device, value.trim());
+                await adapter.setStateAsync(`${device.name}.state.appStatus`, JSON.stringify(status), true);
+                await adapter.setStateAsync(id, '', true);
+            }
+            return;
         case 'source':
             if (typeof value === 'string' && value.trim()) {
                 await selectSource(device, value.trim());
                 await adapter.setStateAsync(id, '', true);
             }
             return;
+        case 'playUrl': {
+            const request = parsePlayRequest(value);
+            if (!request) {
+                if (value) {
+                    adapter.log.warn(`Invalid media URL for ${device.name}: ${value}`);
+                }
+                return;
+            }
+            await playUrl(device, request);
+            await adapter.setStateAsync(id, '', true);
+            return;
+        }
+        case 'playFile':
+            if (typeof value === 'string' && value.trim()) {
+                await playFile(device, value.trim());
+                await adapter.setStateAsync(id, '', true);
+            }
+            return;
+        case 'announce': {
+            const request = parseAnnounceRequest(value);
+            if (!request) {
+                if (value) {
+                    adapter.log.warn(`Invalid announcement for ${device.name}: ${value}`);
+                }
+                return;
+            }
+            await announce(device, request);
+            await adapter.setStateAsync(id, '', true);
+            return;
+        }
+        case 'showImage': {
+            const request = parseShowImageRequest(value);
+            if (!request) {
+                if (value) {
+                    adapter.log.warn(`Invalid image request for ${device.name}: ${value}`);
+                }
+                return;
+            }
+            await showImage(device, request);
+            await adapter.setStateAsync(id, '', true);
+            return;
+        }
+        case 'mediaPlay':
+        case 'mediaPause':
+        case 'mediaStop':
+            if (isTruthyValue(value)) {
+                await mediaCommand(device, command.slice('media'.length));
+                if (command === 'mediaStop') {
+                    await stopAnnouncement(device);
+                }
+                await adapter.setStateAsync(id, false, true);
+            }
+            return;
+        case 'mediaSeek': {
+            const seconds = parseMediaTime(value);
+            if (seconds === null) {
+                if (value) {
+                    adapter.log.warn(`Invalid seek position for ${device.name}: ${value}`);
+                }
+                return;
+            }
+            await mediaSeek(device, seconds);
+            await adapter.setStateAsync(id, seconds, true);
+            return;
+        }
+        case 'pictureMode':
+        case 'soundMode':
+            if (typeof value === 'string' && value.trim()) {
+                await setSmartThingsMode(device, command, value.trim());
+                await adapter.setStateAsync(id, value.trim(), true);
+            }
+            return;
         default:
             return;
     }
@@ -1172,22 +1675,22 @@ async function sendVolumeStep(device, id, key, delta, value) {
     if (!isTruthyValue(value)) {
         return;
     }
+    const current = await getCurrentVolume(device);
+    if (delta > 0 && current !== null && device.maxVolume && current >= device.maxVolume) {
+        adapter.log.debug(`Volume of ${device.name} already at limit ${device.maxVolume}`);
+        await adapter.setStateAsync(id, false, true);
+        await countVolumeLimited(device);
+        return;
+    }
     await sendKey(device, key);
     await adapter.setStateAsync(id, false, true);
 
-    const state = await adapter.getStateAsync(`${device.name}.state.volume`);
-    const current =
-        state && typeof state.val === 'number' && Number.isFinite(state.val)
-            ? state.val
-            : typeof device.lastKnownVolume === 'number'
-              ? device.lastKnownVolume
-              : null;
     if (current !== null) {
         const next = Math.max(0, Math.min(100, current + delta));
         device.lastKnownVolume = next;
         device.expectedVolume = next;
         device.expectedVolumeUntil = Date.now() + 12000;
-        await adapter.setStateAsync(`${device.name}.state.volume`, next, true);
+        await setVolumeState(device, next);
     }
     scheduleDevicePoll(device, 1200);
 }
@@ -1212,326 +1715,1874 @@ async function sendMuteToggle(device, id, value) {
     device.expectedMutedUntil = Date.now() + 12000;
     // Keep optimistic mute result for a short period, because some TVs always report false via UPnP.
     device.mutedShadowUntil = Date.now() + 120000;
-    await adapter.setStateAsync(`${device.name}.state.muted`, next, true);
+    await setMutedState(device, next);
     scheduleDevicePoll(device, 1200);
 }
 
-function isTruthyValue(val) {
-    return val === true || val === 1 || val === 'true';
+async function getCurrentVolume(device) {
+    const state = await adapter.getStateAsync(`${device.name}.state.volume`);
+    if (state && typeof state.val === 'number' && Number.isFinite(state.val)) {
+        return state.val;
+    }
+    return typeof device.lastKnownVolume === 'number' ? device.lastKnownVolume : null;
 }
 
-function normalizeKeyInput(input) {
-    if (!input || typeof input !== 'string') {
-        return '';
+async function setVolume(device, value) {
+    const requested = Math.max(0, Math.min(100, Math.round(Number(value))));
+    if (!Number.isFinite(requested)) {
+        return;
     }
-    const raw = input.trim();
-    if (!raw) {
-        return '';
+    const target = await clampVolume(device, requested);
+    const controlUrl = await getRenderingControlUrl(device);
+    let done = false;
+    if (controlUrl) {
+        try {
+            await upnpSetVolume(controlUrl, target);
+            done = true;
+        } catch (e) {
+            adapter.log.debug(`SetVolume failed for ${device.name}, stepping with keys: ${e.message}`);
+        }
     }
-    const upper = raw.toUpperCase();
-    if (upper.startsWith('KEY_')) {
-        return upper;
-    }
-
-    const normalized = raw.toLowerCase().replace(/\s+/g, '');
-    const map = {
-        up: 'KEY_UP',
-        arrowup: 'KEY_UP',
-        down: 'KEY_DOWN',
-        arrowdown: 'KEY_DOWN',
-        left: 'KEY_LEFT',
-        arrowleft: 'KEY_LEFT',
-        right: 'KEY_RIGHT',
-        arrowright: 'KEY_RIGHT',
-        enter: 'KEY_ENTER',
-        ok: 'KEY_ENTER',
-        back: 'KEY_RETURN',
-        return: 'KEY_RETURN',
-        home: 'KEY_HOME',
-        source: 'KEY_SOURCE',
-        menu: 'KEY_MENU',
-        info: 'KEY_INFO',
-        guide: 'KEY_GUIDE',
-        exit: 'KEY_EXIT',
-        volup: 'KEY_VOLUP',
-        volumeup: 'KEY_VOLUP',
-        voldown: 'KEY_VOLDOWN',
-        volumedown: 'KEY_VOLDOWN',
-        mute: 'KEY_MUTE',
-        chup: 'KEY_CHUP',
-        channelup: 'KEY_CHUP',
-        chdown: 'KEY_CHDOWN',
-        channeldown: 'KEY_CHDOWN',
-        play: 'KEY_PLAY',
-        pause: 'KEY_PAUSE',
-        stop: 'KEY_STOP',
-        rewind: 'KEY_REWIND',
-        ff: 'KEY_FF',
-        fastforward: 'KEY_FF',
-        record: 'KEY_REC',
-        red: 'KEY_RED',
-        green: 'KEY_GREEN',
-        yellow: 'KEY_YELLOW',
-        blue: 'KEY_BLUE',
-        0: 'KEY_0',
-        1: 'KEY_1',
-        2: 'KEY_2',
-        3: 'KEY_3',
-        4: 'KEY_4',
-        5: 'KEY_5',
-        6: 'KEY_6',
-        7: 'KEY_7',
-        8: 'KEY_8',
-        9: 'KEY_9',
-    };
-
-    return map[normalized] || upper;
-}
-
-async function setPower(device, on) {
-    const status = await checkDeviceStatus(device);
-    adapter.log.debug(
-        `Power request for ${device.name}: target=${on} api=${device.api} online=${status.online} power=${status.power}`,
-    );
-    if (on) {
-        if (status.power) {
-            return;
+    if (!done) {
+        // Without RenderingControl the only way is stepping from the last known level.
+        const current = await getCurrentVolume(device);
+        if (current === null) {
+            throw new Error('Current volume unknown');
         }
-        if (device.api === 'hj') {
-            if (adapter.config.enableWol && device.mac) {
-                wol.wake(device.mac);
-                scheduleDevicePoll(device, 6000);
-                schedulePowerFallback(device, true, 'KEY_POWER', 8000);
-                return;
-            }
-            if (status.online) {
-                try {
-                    await sendKey(device, 'KEY_POWERON');
-                    scheduleDevicePoll(device, 4000);
-                    schedulePowerFallback(device, true, 'KEY_POWER', 6000);
-                    return;
-                } catch (e) {
-                    try {
-                        await sendKey(device, 'KEY_POWER');
-                        scheduleDevicePoll(device, 4000);
-                        return;
-                    } catch (e2) {
-                        // fallback to WOL
-                    }
-                }
-            }
-        } else {
-            if (status.online) {
-                try {
-                    await sendKey(device, 'KEY_POWER');
-                    scheduleDevicePoll(device, 4000);
-                    return;
-                } catch (e) {
-                    // fallback to WOL
-                }
-            }
+        const delta = target - current;
+        for (let i = 0; i < Math.abs(delta); i++) {
+            await sendKey(device, delta > 0 ? 'KEY_VOLUP' : 'KEY_VOLDOWN');
+            await sleep(VOLUME_STEP_DELAY);
         }
-        if (adapter.config.enableWol && device.mac) {
-            wol.wake(device.mac);
+    }
+    device.lastKnownVolume = target;
+    device.expectedVolume = target;
+    device.expectedVolumeUntil = Date.now() + 12000;
+    await setVolumeState(device, target);
+    scheduleDevicePoll(device, 1200);
+}
+
+async function setMuted(device, value) {
+    const target = isTruthyValue(value);
+    const controlUrl = await getRenderingControlUrl(device);
+    let done = false;
+    if (controlUrl) {
+        try {
+            await upnpSetMute(controlUrl, target);
+            done = true;
+        } catch (e) {
+            adapter.log.debug(`SetMute failed for ${device.name}, using KEY_MUTE: ${e.message}`);
         }
-        scheduleDevicePoll(device, 6000);
-        return;
     }
-    if (status.power) {
-        if (device.api === 'hj') {
-            try {
-                await sendKey(device, 'KEY_POWER');
-                scheduleDevicePoll(device, 3000);
-                schedulePowerFallback(device, false, 'KEY_POWEROFF', 5000);
-                return;
-            } catch (e) {
-                await sendKey(device, 'KEY_POWER');
-                scheduleDevicePoll(device, 3000);
-                return;
-            }
+    if (!done) {
+        const state = await adapter.getStateAsync(`${device.name}.state.muted`);
+        const current =
+            state && typeof state.val === 'boolean'
+                ? state.val
+                : typeof device.lastKnownMuted === 'boolean'
+                  ? device.lastKnownMuted
+                  : false;
+        if (current !== target) {
+            await sendKey(device, 'KEY_MUTE');
         }
-        await sendKey(device, 'KEY_POWER');
-        scheduleDevicePoll(device, 3000);
+        device.mutedShadowUntil = target ? Date.now() + 120000 : 0;
     }
+    device.lastKnownMuted = target;
+    device.expectedMuted = target;
+    device.expectedMutedUntil = Date.now() + 12000;
+    await setMutedState(device, target);
+    scheduleDevicePoll(device, 1200);
 }
 
-function schedulePowerFallback(device, targetOn, fallbackKey, delayMs) {
-    if (!device) {
+async function startVolumeFade(device, requested, durationMs) {
+    stopVolumeFade(device);
+    const target = await clampVolume(device, requested);
+    const controlUrl = await getRenderingControlUrl(device);
+    let start = null;
+    if (controlUrl) {
+        start = (await readUpnpAudioStatus(device).catch(() => null))?.volume ?? null;
+    }
+    if (start === null) {
+        start = await getCurrentVolume(device);
+    }
+    if (start === null) {
+        throw new Error('Current volume unknown');
+    }
+    const delta = target - start;
+    if (!delta) {
         return;
     }
-    const delay = Math.max(1000, delayMs || 0);
-    setTimeout(async () => {
-        try {
-            const status = await checkDeviceStatus(device);
-            if (targetOn && status.power) {
-                return;
-            }
-            if (!targetOn && !status.power) {
+
+    // Key steps can only move by one, SetVolume may skip levels when the fade is short.
+    let steps = Math.abs(delta);
+    if (controlUrl) {
+        steps = Math.max(1, Math.min(steps, Math.floor(durationMs / VOLUME_FADE_MIN_INTERVAL)));
+    }
+    const interval = Math.max(controlUrl ? 0 : VOLUME_STEP_DELAY, durationMs / steps);
+    const fade = { target, start, steps, index: 0, controlUrl, sent: new Set([start]), timer: null };
+    device.volumeFade = fade;
+    adapter.log.debug(`Fading volume of ${device.name} from ${start} to ${target} in ${steps} steps`);
+
+    const step = async () => {
+        fade.index++;
+        const level = Math.round(start + (delta * fade.index) / steps);
+        if (controlUrl) {
+            await upnpSetVolume(controlUrl, level);
+        } else {
+            await sendKey(device, delta > 0 ? 'KEY_VOLUP' : 'KEY_VOLDOWN');
+        }
+        fade.sent.add(level);
+        device.lastKnownVolume = level;
+        device.expectedVolume = level;
+        device.expectedVolumeUntil = Date.now() + 12000;
+        await setVolumeState(device, level);
+    };
+    const tick = () => {
+        fade.timer = null;
+        enqueueDeviceCommand(device, async () => {
+            if (device.volumeFade !== fade) {
                 return;
             }
-            if (!status.online) {
+            await step();
+            if (fade.index >= fade.steps) {
+                device.volumeFade = null;
+                scheduleDevicePoll(device, 1200);
+                return;
+            }
+            fade.timer = setTimeout(tick, interval);
+        }).catch(e => {
+            adapter.log.debug(`Volume fade for ${device.name} stopped: ${e.message}`);
+            stopVolumeFade(device);
+        });
+    };
+    fade.timer = setTimeout(tick, interval);
+}
+
+function stopVolumeFade(device) {
+    const fade = device.volumeFade;
+    if (!fade) {
+        return;
+    }
+    if (fade.timer) {
+        clearTimeout(fade.timer);
+    }
+    device.volumeFade = null;
+}
+
+// A reported level the fade never set means someone used the remote.
+function checkVolumeFadeInterference(device, volume) {
+    const fade = device.volumeFade;
+    if (!fade || typeof volume !== 'number' || fade.sent.has(volume)) {
+        return;
+    }
+    adapter.log.debug(`Volume of ${device.name} changed to ${volume} during fade, cancelling`);
+    stopVolumeFade(device);
+}
+
+async function clampVolume(device, volume) {
+    if (!device.maxVolume || volume <= device.maxVolume) {
+        return volume;
+    }
+    adapter.log.debug(`Limiting volume ${volume} of ${device.name} to ${device.maxVolume}`);
+    await countVolumeLimited(device);
+    return device.maxVolume;
+}
+
+// Pulls the volume back when the TV reports a level above the limit, e.g. after the remote was used.
+function enforceVolumeLimit(device, volume) {
+    if (!device.maxVolume || typeof volume !== 'number' || volume <= device.maxVolume || device.volumeLimitPending) {
+        return;
+    }
+    device.volumeLimitPending = true;
+    stopVolumeFade(device);
+    adapter.log.info(`Volume of ${device.name} is ${volume}, reducing to limit ${device.maxVolume}`);
+    enqueueDeviceCommand(device, async () => {
+        await countVolumeLimited(device);
+        await setVolume(device, device.maxVolume);
+    })
+        .catch(e => adapter.log.warn(`Failed to limit volume of ${device.name}: ${e.message}`))
+        .finally(() => {
+            device.volumeLimitPending = false;
+        });
+}
+
+async function countVolumeLimited(device) {
+    const id = `${device.name}.info.volumeLimited`;
+    const state = await adapter.getStateAsync(id);
+    const count = state && typeof state.val === 'number' ? state.val : 0;
+    await adapter.setStateAsync(id, count + 1, true);
+}
+
+// control.volume/control.muted follow the reported values so sliders and switches stay in sync.
+async function setVolumeState(device, volume) {
+    await adapter.setStateAsync(`${device.name}.state.volume`, volume, true);
+    if (typeof volume === 'number') {
+        await adapter.setStateAsync(`${device.name}.control.volume`, volume, true);
+    }
+}
+
+async function setMutedState(device, muted) {
+    await adapter.setStateAsync(`${device.name}.state.muted`, muted, true);
+    if (typeof muted === 'boolean') {
+        await adapter.setStateAsync(`${device.name}.control.muted`, muted, true);
+    }
+}
+
+function isTruthyValue(val) {
+    return val === true || val === 1 || val === 'true';
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Runs commands for one TV strictly one after another, so macros never interleave with other commands.
+ */
+function enqueueDeviceCommand(device, task) {
+    const previous = device.commandQueue || Promise.resolve();
+    const next = previous.then(task);
+    device.commandQueue = next.catch(() => undefined);
+    return next;
+}
+
+function getConfiguredChannelPresets() {
+    const list = Array.isArray(adapter.config.channels) ? adapter.config.channels : [];
+    const result = [];
+    for (const raw of list) {
+        if (!raw || typeof raw !== 'object' || !raw.name) {
+            continue;
+        }
+        const channel = parseChannelNumber(raw.channel);
+        if (!channel) {
+            adapter.log.warn(`Skipping channel preset "${raw.name}" without valid channel number.`);
+            continue;
+        }
+        result.push({
+            name: String(raw.name),
+            device: typeof raw.device === 'string' ? raw.device.trim() : '',
+            channel,
+        });
+    }
+    return result;
+}
+
+function formatChannelNumber(channel) {
+    return channel.minor !== null ? `${channel.major}-${channel.minor}` : String(channel.major);
+}
+
+async function syncChannelObjects(device, presets) {
+    const base = `${device.name}.channels`;
+    const own = presets.filter(preset => appliesToDevice(preset, device));
+    device.channelPresets = new Map();
+    if (!own.length) {
+        await deletePrefix(`${adapter.namespace}.${base}`);
+        return;
+    }
+
+    const keys = await syncButtonObjects(
+        base,
+        'Channels',
+        own.map(preset => ({
+            key: sanitizeName(preset.name) || 'channel',
+            name: `${preset.name} (${formatChannelNumber(preset.channel)})`,
+        })),
+    );
+    own.forEach((preset, i) => device.channelPresets.set(keys[i], preset));
+}
+
+async function handleChannelButton(device, id, key, value) {
+    if (!isTruthyValue(value)) {
+        return;
+    }
+    const preset = device.channelPresets && device.channelPresets.get(key);
+    if (!preset) {
+        return;
+    }
+    await adapter.setStateAsync(id, false, true);
+    await tuneChannel(device, preset.channel);
+}
+
+async function tuneChannel(device, channel) {
+    try {
+        await setMainTvChannel(device, channel);
+        adapter.log.debug(`Tuned ${device.name} to ${formatChannelNumber(channel)} via MainTVAgent2`);
+    } catch (e) {
+        adapter.log.debug(`MainTVAgent2 tuning failed for ${device.name}, typing digits: ${e.message}`);
+        await typeChannelDigits(device, channel);
+    }
+    if (device.tvChannelStates) {
+        scheduleDevicePoll(device, 1500);
+    }
+}
+
+async function typeChannelDigits(device, channel) {
+    const keys = String(channel.major)
+        .split('')
+        .map(digit => `KEY_${digit}`);
+    if (channel.minor !== null) {
+        // The dash key of the number pad
+        keys.push(
+            'KEY_PLUS100',
+            ...String(channel.minor)
+                .split('')
+                .map(digit => `KEY_${digit}`),
+        );
+    }
+    for (const key of keys) {
+        await sendKey(device, key);
+        await sleep(CHANNEL_DIGIT_DELAY);
+    }
+    await sendKey(device, 'KEY_ENTER');
+}
+
+// state.channel/channelName/program appear once the TV answers via MainTVAgent2.
+async function refreshTvChannelStatus(device) {
+    if (!(await getMainTvAgentUrl(device))) {
+        return;
+    }
+    const current = getSoapValue(await mainTvAgentAction(device, 'GetCurrentMainTVChannel'), 'CurrentChannel') || '';
+    const major = parseInt(getSoapValue(current, 'MajorCh'), 10);
+    if (!Number.isFinite(major)) {
+        return;
+    }
+    const minor = parseInt(getSoapValue(current, 'MinorCh'), 10);
+    // 65534 marks a channel without minor number
+    const channel = formatChannelNumber({
+        major,
+        minor: Number.isFinite(minor) && minor !== 65534 ? minor : null,
+    });
+
+    let channelName = getXmlValue(current, ['DispChName', 'ChName', 'ChannelName']);
+    let program = '';
+    try {
+        const info = await fetchProgramInformation(device);
+        channelName = channelName || getXmlValue(info, ['DispChName', 'ChName', 'ChannelName']);
+        program = getXmlValue(info, ['ProgTitle', 'ProgramTitle', 'Title']);
+    } catch (e) {
+        adapter.log.debug(`Program information failed for ${device.name}: ${e.message}`);
+    }
+    await setTvChannelStates(device, channel, channelName, program);
+}
+
+async function fetchProgramInformation(device) {
+    const text = await mainTvAgentAction(device, 'GetCurrentProgramInformationURL');
+    const url = getSoapValue(text, 'CurrentProgInfoURL');
+    if (!url) {
+        return '';
+    }
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), 3000);
+    try {
+        const resp = await fetch(url, { signal: controller.signal });
+        if (!resp.ok) {
+            throw new Error(`HTTP ${resp.status}`);
+        }
+        return await resp.text();
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+function getXmlValue(text, tagNames) {
+    for (const tagName of tagNames) {
+        const value = getSoapValue(text, tagName);
+        if (value && value.trim()) {
+            return value.trim();
+        }
+    }
+    return '';
+}
+
+async function setTvChannelStates(device, channel, channelName, program) {
+    const base = `${device.name}.state`;
+    if (!device.tvChannelStates) {
+        device.tvChannelStates = true;
+        await ensureState(`${base}.channel`, 'Channel', 'string', 'media.channel', '', true);
+        await ensureState(`${base}.channelName`, 'Channel Name', 'string', 'text', '', true);
+        await ensureState(`${base}.program`, 'Program', 'string', 'media.title', '', true);
+    }
+    await adapter.setStateAsync(`${base}.channel`, channel, true);
+    await adapter.setStateAsync(`${base}.channelName`, channelName, true);
+    await adapter.setStateAsync(`${base}.program`, program, true);
+}
+
+async function setMainTvChannel(device, channel) {
+    const current = getSoapValue(await mainTvAgentAction(device, 'GetCurrentMainTVChannel'), 'CurrentChannel') || '';
+    let listType = '0x01';
+    let satelliteId = '0';
+    try {
+        const list = await mainTvAgentAction(device, 'GetChannelListURL');
+        listType = getSoapValue(list, 'ChannelListType') || listType;
+        satelliteId = getSoapValue(list, 'SatelliteID') || satelliteId;
+    } catch (e) {
+        // ignore
+    }
+    const channelXml =
+        '<?xml version="1.0" encoding="UTF-8" ?><Channel>' +
+        `<ChType>${getSoapValue(current, 'ChType') || 'CDTV'}</ChType>` +
+        `<MajorCh>${channel.major}</MajorCh>` +
+        `<MinorCh>${channel.minor !== null ? channel.minor : 65534}</MinorCh>` +
+        '<PTC></PTC><ProgNum></ProgNum></Channel>';
+    await mainTvAgentAction(device, 'SetMainTVChannel', {
+        ChannelListType: listType,
+        Satellite_ID: satelliteId,
+        Channel: channelXml,
+    });
+}
+
+function getConfiguredMacros() {
+    const list = Array.isArray(adapter.config.macros) ? adapter.config.macros : [];
+    const result = [];
+    for (const raw of list) {
+        if (!raw || typeof raw !== 'object' || !raw.name) {
+            continue;
+        }
+        const steps = parseMacroSteps(raw.steps);
+        if (!steps.length) {
+            adapter.log.warn(`Skipping macro "${raw.name}" without valid steps.`);
+            continue;
+        }
+        const delay = parseInt(raw.delay, 10);
+        result.push({
+            name: String(raw.name),
+            device: typeof raw.device === 'string' ? raw.device.trim() : '',
+            delay: Number.isFinite(delay) && delay >= 0 ? delay : MACRO_STEP_DELAY,
+            steps,
+        });
+    }
+    return result;
+}
+
+// For config entries with an optional TV reference (macros, channel presets).
+function appliesToDevice(entry, device) {
+    if (!entry.device) {
+        return true;
+    }
+    const ref = entry.device.toLowerCase();
+    return ref === device.name || ref === (device.displayName || '').toLowerCase() || ref === device.id;
+}
+
+async function syncMacroObjects(device, macros) {
+    const base = `${device.name}.macros`;
+    const own = macros.filter(macro => appliesToDevice(macro, device));
+    device.macros = new Map();
+    if (!own.length) {
+        await deletePrefix(`${adapter.namespace}.${base}`);
+        return;
+    }
+
+    const keys = await syncButtonObjects(
+        base,
+        'Macros',
+        own.map(macro => ({ key: sanitizeName(macro.name) || 'macro', name: macro.name })),
+        MACRO_RESERVED_NAMES,
+    );
+    own.forEach((macro, i) => device.macros.set(keys[i], macro));
+    await ensureState(`${base}.running`, 'Running Macro', 'string', 'text', '', true);
+    await ensureState(`${base}.cancel`, 'Cancel Macro', 'boolean', 'button', false, false);
+    await adapter.setStateAsync(`${base}.running`, '', true);
+}
+
+/**
+ * Creates the channel `base` with one button per entry (`{ key, name, native? }`; keys are made unique)
+ * and deletes every other object below it except the `reserved` states. Returns the keys in entry order.
+ */
+async function syncButtonObjects(base, channelName, buttons, reserved = []) {
+    await adapter.setObjectNotExistsAsync(base, {
+        type: 'channel',
+        common: { name: channelName },
+        native: {},
+    });
+
+    const usedNames = new Set(reserved);
+    const keep = new Set(reserved.map(name => `${adapter.namespace}.${base}.${name}`));
+    const keys = [];
+    for (const button of buttons) {
+        const key = ensureUniqueName(button.key, usedNames);
+        usedNames.add(key);
+        keep.add(`${adapter.namespace}.${base}.${key}`);
+        keys.push(key);
+        await adapter.extendObjectAsync(`${base}.${key}`, {
+            type: 'state',
+            common: {
+                name: button.name,
+                type: 'boolean',
+                role: 'button',
+                read: true,
+                write: true,
+                def: false,
+            },
+            native: button.native || {},
+        });
+    }
+
+    let existing = {};
+    try {
+        existing = await adapter.getForeignObjectsAsync(`${adapter.namespace}.${base}.*`);
+    } catch (e) {
+        existing = {};
+    }
+    for (const id of Object.keys(existing)) {
+        if (keep.has(id)) {
+            continue;
+        }
+        try {
+            await adapter.delForeignObjectAsync(id);
+        } catch (e) {
+            // ignore
+        }
+    }
+    return keys;
+}
+
+async function handleMacroButton(device, id, key, value) {
+    if (!isTruthyValue(value)) {
+        return;
+    }
+    const macro = device.macros && device.macros.get(key);
+    if (!macro) {
+        return;
+    }
+    await adapter.setStateAsync(id, false, true);
+    await runMacro(device, macro);
+}
+
+async function runMacro(device, macro) {
+    const run = { name: macro.name, cancelled: false, wake: null };
+    device.macroRun = run;
+    await adapter.setStateAsync(`${device.name}.macros.running`, macro.name, true);
+    adapter.log.debug(`Macro "${macro.name}" started for ${device.name}`);
+    try {
+        for (const step of macro.steps) {
+            if (run.cancelled) {
+                break;
+            }
+            if (step.type === 'wait') {
+                await macroWait(run, step.ms);
+                continue;
+            }
+            const repeat = step.type === 'key' ? step.repeat : 1;
+            for (let i = 0; i < repeat && !run.cancelled; i++) {
+                if (step.type === 'key') {
+                    await sendKey(device, step.key, { holdMs: step.holdMs });
+                } else if (step.type === 'app') {
+                    await launchApp(device, step.appId);
+                } else if (step.type === 'text') {
+                    await sendText(device, step.text);
+                }
+                await macroWait(run, macro.delay);
+            }
+        }
+    } finally {
+        if (device.macroRun === run) {
+            device.macroRun = null;
+        }
+        await adapter.setStateAsync(`${device.name}.macros.running`, '', true);
+        adapter.log.debug(`Macro "${macro.name}" ${run.cancelled ? 'cancelled' : 'finished'} for ${device.name}`);
+    }
+}
+
+function macroWait(run, ms) {
+    if (run.cancelled || !ms) {
+        return Promise.resolve();
+    }
+    return new Promise(resolve => {
+        const timer = setTimeout(() => {
+            run.wake = null;
+            resolve();
+        }, ms);
+        run.wake = () => {
+            clearTimeout(timer);
+            run.wake = null;
+            resolve();
+        };
+    });
+}
+
+function stopMacroRun(device) {
+    const run = device.macroRun;
+    if (!run) {
+        return false;
+    }
+    run.cancelled = true;
+    if (run.wake) {
+        run.wake();
+    }
+    return true;
+}
+
+async function cancelMacro(device, id, value) {
+    if (!isTruthyValue(value)) {
+        return;
+    }
+    if (stopMacroRun(device)) {
+        adapter.log.info(`Cancelling macro for ${device.name}`);
+    }
+    await adapter.setStateAsync(id, false, true);
+}
+
+async function setPower(device, on) {
+    const status = await checkDeviceStatus(device);
+    adapter.log.debug(
+        `Power request for ${device.name}: target=${on} api=${device.api} online=${status.online} power=${status.power}`,
+    );
+    if (on) {
+        if (status.power) {
+            return;
+        }
+        if (device.api === 'hj') {
+            if (adapter.config.enableWol && device.mac) {
+                wol.wake(device.mac);
+                scheduleDevicePoll(device, 6000);
+                schedulePowerFallback(device, true, 'KEY_POWER', 8000);
                 return;
             }
-            adapter.log.debug(`Power fallback for ${device.name}: key=${fallbackKey}`);
-            await sendKey(device, fallbackKey);
-            scheduleDevicePoll(device, 3000);
+            if (status.online) {
+                try {
+                    await sendKey(device, 'KEY_POWERON');
+                    scheduleDevicePoll(device, 4000);
+                    schedulePowerFallback(device, true, 'KEY_POWER', 6000);
+                    return;
+                } catch (e) {
+                    try {
+                        await sendKey(device, 'KEY_POWER');
+                        scheduleDevicePoll(device, 4000);
+                        return;
+                    } catch (e2) {
+                        // fallback to WOL
+                    }
+                }
+            }
+        } else {
+            if (status.online) {
+                try {
+                    await sendKey(device, 'KEY_POWER');
+                    scheduleDevicePoll(device, 4000);
+                    return;
+                } catch (e) {
+                    // fallback to WOL
+                }
+            }
+        }
+        if (adapter.config.enableWol && device.mac) {
+            wol.wake(device.mac);
+        }
+        scheduleDevicePoll(device, 6000);
+        return;
+    }
+    if (status.power) {
+        if (device.api === 'hj') {
+            try {
+                await sendKey(device, 'KEY_POWER');
+                scheduleDevicePoll(device, 3000);
+                schedulePowerFallback(device, false, 'KEY_POWEROFF', 5000);
+                return;
+            } catch (e) {
+                await sendKey(device, 'KEY_POWER');
+                scheduleDevicePoll(device, 3000);
+                return;
+            }
+        }
+        await sendKey(device, 'KEY_POWER');
+        scheduleDevicePoll(device, 3000);
+    }
+}
+
+function schedulePowerFallback(device, targetOn, fallbackKey, delayMs) {
+    if (!device) {
+        return;
+    }
+    const delay = Math.max(1000, delayMs || 0);
+    setTimeout(async () => {
+        try {
+            const status = await checkDeviceStatus(device);
+            if (targetOn && status.power) {
+                return;
+            }
+            if (!targetOn && !status.power) {
+                return;
+            }
+            if (!status.online) {
+                return;
+            }
+            adapter.log.debug(`Power fallback for ${device.name}: key=${fallbackKey}`);
+            await sendKey(device, fallbackKey);
+            scheduleDevicePoll(device, 3000);
+        } catch (e) {
+            // ignore
+        }
+    }, delay);
+}
+
+async function sendKey(device, key, options = {}) {
+    const holdMs = options.holdMs > 0 ? options.holdMs : 0;
+    const sendTizen = () => (holdMs ? tizenHoldKey(device, key, holdMs) : tizenSendKey(device, key));
+    if (device.api === 'tizen') {
+        try {
+            await sendTizen();
+            markSeen(device);
+            return;
+        } catch (e) {
+            if (isTizenRemoteUnsupported(e)) {
+                const hjOk = device.hjAvailable === true || (await checkPort(device.ip, 8000, 1500));
+                if (hjOk) {
+                    device.hjAvailable = true;
+                    device.api = 'hj';
+                    closeTizenSession(device.id);
+                    adapter.log.warn(`Tizen remote unsupported for ${device.name}, switching to HJ`);
+                    await updateDeviceInfoStates(device);
+                    updateConfigDeviceFromDiscovery(device, {
+                        id: device.id,
+                        ip: device.ip,
+                        mac: device.mac,
+                        api: 'hj',
+                        hjAvailable: true,
+                    });
+                    await hjSendKey(device, key, options);
+                    markSeen(device);
+                    return;
+                }
+            }
+            throw e;
+        }
+    } else if (device.api === 'hj') {
+        await hjSendKey(device, key, options);
+    } else if (device.api === 'legacy') {
+        await legacySendKey(device, key, options);
+    } else {
+        // try tizen first
+        try {
+            await sendTizen();
+        } catch (e) {
+            if (isTizenRemoteUnsupported(e)) {
+                const hjOk = await checkPort(device.ip, 8000, 1500);
+                if (hjOk) {
+                    device.hjAvailable = true;
+                    device.api = 'hj';
+                    closeTizenSession(device.id);
+                    adapter.log.warn(`Tizen remote unsupported for ${device.name}, switching to HJ`);
+                    await updateDeviceInfoStates(device);
+                    updateConfigDeviceFromDiscovery(device, {
+                        id: device.id,
+                        ip: device.ip,
+                        mac: device.mac,
+                        api: 'hj',
+                        hjAvailable: true,
+                    });
+                    await hjSendKey(device, key, options);
+                    markSeen(device);
+                    return;
+                }
+            }
+            await legacySendKey(device, key, options);
+        }
+    }
+    markSeen(device);
+}
+
+function isTizenRemoteUnsupported(err) {
+    if (!err || !err.message) {
+        return false;
+    }
+    return /unrecognized method value|ms\\.remote\\.control/i.test(err.message);
+}
+
+async function legacySendKey(device, key, options = {}) {
+    if (!device.ip) {
+        throw new Error('No IP');
+    }
+    if (options.holdMs > 0) {
+        adapter.log.debug(`Legacy remote has no press/release; sending ${key} as click to ${device.name}`);
+    }
+    await new Promise((resolve, reject) => {
+        const remote = new LegacyRemote({ ip: device.ip });
+        remote.send(key, err => (err ? reject(err) : resolve()));
+    });
+}
+
+async function hjSendKey(device, key, options = {}) {
+    if (!device.ip) {
+        throw new Error('No IP');
+    }
+    const tv = new SamsungHJ({ ...HJ_DEVICE_CONFIG, ip: device.ip });
+    await tv.init2();
+    const identity = getHjIdentity(device.id);
+    if (!identity) {
+        throw new Error('Not paired (HJ)');
+    }
+    tv.identity = identity;
+    if (tv.pairing) {
+        tv.pairing.identity = identity;
+    }
+    // Power keys are only accepted as a short press/release on H/J sets.
+    const holdMs = options.holdMs > 0 ? options.holdMs : HJ_POWER_KEYS.has(key) ? KEY_PRESS_DURATION : 0;
+    try {
+        await tv.connect();
+        await hjSendKeyOnConnection(device, tv, key, holdMs, '');
+    } catch (e) {
+        adapter.log.debug(`HJ sendKey failed (${key}) for ${device.name}: ${e.message}`);
+        await tv.connect();
+        await hjSendKeyOnConnection(device, tv, key, holdMs, 'retry ');
+    }
+}
+
+async function hjSendKeyOnConnection(device, tv, key, holdMs, label) {
+    if (tv.connection && holdMs > 0) {
+        await holdKey(
+            () => tv.connection.sendKey(key, 'Press'),
+            () => tv.connection.sendKey(key, 'Release'),
+            holdMs,
+        );
+        adapter.log.debug(`HJ sendKey ${label}${key} (press/release ${holdMs}ms) to ${device.name}`);
+    } else {
+        tv.sendKey(key);
+        adapter.log.debug(`HJ sendKey ${label}${key} to ${device.name}`);
+    }
+}
+
+async function launchApp(device, appId, options = {}) {
+    if (device.api !== 'tizen') {
+        adapter.log.warn(`launchApp only supported for Tizen devices (${device.name})`);
+        return;
+    }
+    const metaTag = typeof options.metaTag === 'string' ? options.metaTag : '';
+    const data = {
+        action_type: resolveLaunchActionType(device, appId, options.actionType, metaTag),
+        appId,
+    };
+    if (metaTag) {
+        data.metaTag = metaTag;
+    }
+    // Always checked by the foreground app polling, even if it is missing from the installed app list.
+    device.launchedAppId = appId;
+    try {
+        await tizenSend(device, {
+            method: 'ms.channel.emit',
+            params: {
+                event: 'ed.apps.launch',
+                to: 'host',
+                data,
+            },
+        });
+    } catch (e) {
+        if (metaTag) {
+            // The REST API cannot pass a metaTag; the app would just open on its start page.
+            throw e;
+        }
+        adapter.log.debug(`WS launch of ${appId} failed for ${device.name} (${e.message}), trying REST`);
+        await tizenRestRequest(device, 'POST', `applications/${encodeURIComponent(appId)}`);
+    }
+    markSeen(device);
+    scheduleForegroundAppRefresh(device, 2000);
+}
+
+async function openUrl(device, url) {
+    if (!/^https?:\/\//i.test(url)) {
+        throw new Error(`Invalid URL: ${url}`);
+    }
+    if (device.api === 'tizen') {
+        // The browser takes the URL as metaTag of a native launch.
+        await launchApp(device, BROWSER_APP_ID, { actionType: 'NATIVE_LAUNCH', metaTag: url });
+        return;
+    }
+    if (device.api === 'hj') {
+        await dialLaunch(device, BROWSER_APP_ID, url);
+        markSeen(device);
+        return;
+    }
+    adapter.log.warn(`openUrl not supported for ${device.api} devices (${device.name})`);
+}
+
+async function dialLaunch(device, appName, payload) {
+    if (!device.ip) {
+        throw new Error('No IP');
+    }
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), 3000);
+    try {
+        const resp = await fetch(`http://${device.ip}:8080/ws/apps/${encodeURIComponent(appName)}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'text/plain; charset="utf-8"' },
+            body: payload || '',
+            signal: controller.signal,
+        });
+        if (!resp.ok) {
+            throw new Error(`DIAL launch of ${appName} failed (status ${resp.status})`);
+        }
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+async function closeApp(device, appId) {
+    if (device.api !== 'tizen') {
+        adapter.log.warn(`closeApp only supported for Tizen devices (${device.name})`);
+        return;
+    }
+    await tizenRestRequest(device, 'DELETE', `applications/${encodeURIComponent(appId)}`);
+    markSeen(device);
+    scheduleForegroundAppRefresh(device, 1500);
+}
+
+// Unlike the foreground polling, an unreachable TV is an error here and not "not running".
+async function getAppStatus(device, appId) {
+    if (device.api !== 'tizen') {
+        throw new Error(`App status only supported for Tizen devices (${device.name})`);
+    }
+    let info;
+    try {
+        info = await tizenRestRequest(device, 'GET', `applications/${encodeURIComponent(appId)}`);
+    } catch (e) {
+        if (e.status === 404) {
+            // The REST API answers 404 for apps that are not installed; report those as not running.
+            return { id: appId, name: '', running: false, visible: false };
+        }
+        throw e;
+    }
+    if (!info || typeof info !== 'object') {
+        throw new Error(`Invalid app status of ${appId}`);
+    }
+    return toTizenAppStatus(info, appId);
+}
+
+function resolveLaunchActionType(device, appId, requested, metaTag) {
+    const normalized = typeof requested === 'string' ? requested.trim().toUpperCase() : '';
+    if (normalized === 'DEEP_LINK' || normalized === 'NATIVE_LAUNCH') {
+        return normalized;
+    }
+    const installed = device.installedApps && device.installedApps.get(appId);
+    if (installed && installed.type === TIZEN_APP_TYPE_NATIVE) {
+        return 'NATIVE_LAUNCH';
+    }
+    if (metaTag || (installed && installed.type === TIZEN_APP_TYPE_DEEP_LINK)) {
+        return 'DEEP_LINK';
+    }
+    return 'NATIVE_LAUNCH';
+}
+
+// Most likely first: the current foreground app, the last launched one, then all installed apps.
+function getTizenAppCandidates(device) {
+    const ids = new Set();
+    if (device.foregroundAppId) {
+        ids.add(device.foregroundAppId);
+    }
+    if (device.launchedAppId) {
+        ids.add(device.launchedAppId);
+    }
+    const installed = device.installedApps && device.installedApps.size ? device.installedApps.keys() : null;
+    const pool = Array.from(installed || Object.keys(TIZEN_KNOWN_APPS)).filter(appId => !ids.has(appId));
+    // Rotate through the rest, so every app is probed within a few polls without flooding the TV.
+    const offset = (device.appProbeOffset || 0) % (pool.length || 1);
+    const count = Math.min(pool.length, Math.max(0, TIZEN_APP_PROBE_MAX - ids.size));
+    for (let i = 0; i < count; i++) {
+        ids.add(pool[(offset + i) % pool.length]);
+    }
+    device.appProbeOffset = offset + count;
+    return Array.from(ids);
+}
+
+function buildTizenRestUrl(device, path) {
+    const protocol = device.protocol || 'wss';
+    const port = device.port || (protocol === 'ws' ? 8001 : 8002);
+    return `${protocol === 'wss' ? 'https' : 'http'}://${device.ip}:${port}/api/v2/${path}`;
+}
+
+function buildTizenRestCandidates(device, path) {
+    const urls = [
+        buildTizenRestUrl(device, path),
+        `http://${device.ip}:8001/api/v2/${path}`,
+        `https://${device.ip}:8002/api/v2/${path}`,
+    ];
+    return Array.from(new Set(urls));
+}
+
+async function tizenRestRequest(device, method, path, timeoutMs = 2000) {
+    let lastError;
+    for (const url of buildTizenRestCandidates(device, path)) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), timeoutMs);
+        try {
+            const resp = await fetch(url, {
+                method,
+                agent: url.startsWith('https:') ? httpsAgent : undefined,
+                signal: controller.signal,
+            });
+            if (resp.ok) {
+                const text = await resp.text();
+                try {
+                    return text ? JSON.parse(text) : true;
+                } catch (e) {
+                    return true;
+                }
+            }
+            lastError = new Error(`${method} ${path} failed (status ${resp.status})`);
+            lastError.status = resp.status;
+            if (resp.status === 404) {
+                // Same answer on every port, no need to try the others.
+                break;
+            }
+        } catch (e) {
+            lastError = e;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+    throw lastError || new Error(`${method} ${path} failed`);
+}
+
+async function fetchTizenAppStatus(device, appId) {
+    const url = buildTizenRestUrl(device, `applications/${encodeURIComponent(appId)}`);
+    const info = await fetchWithTimeout(url, 1500, { agent: url.startsWith('https:') ? httpsAgent : undefined });
+    if (!info || typeof info !== 'object') {
+        return null;
+    }
+    return toTizenAppStatus(info, appId);
+}
+
+function toTizenAppStatus(info, appId) {
+    return {
+        id: String(info.id || appId),
+        name: info.name || TIZEN_KNOWN_APPS[appId] || '',
+        running: info.running === true,
+        visible: info.visible === true,
+    };
+}
+
+// Concurrent callers share one run, so polling, launches and screen captures never stack up requests.
+function refreshTizenForegroundApp(device) {
+    if (!device || device.api !== 'tizen' || !device.ip) {
+        return Promise.resolve();
+    }
+    if (!device.appRefreshRun) {
+        device.appRefreshRun = probeTizenForegroundApp(device).finally(() => {
+            device.appRefreshRun = null;
+        });
+    }
+    return device.appRefreshRun;
+}
+
+async function probeTizenForegroundApp(device) {
+    const appIds = getTizenAppCandidates(device);
+    const results = await Promise.all(appIds.map(appId => fetchTizenAppStatus(device, appId)));
+    const visible = results.find(r => r && r.visible);
+    if (visible) {
+        await setForegroundApp(device, visible.id, visible.name);
+        return;
+    }
+    if (results.some(Boolean)) {
+        // REST API answers but no probed app is in front (live TV, home screen, or an app probed on a later poll).
+        await setForegroundApp(device, '', '');
+    }
+}
+
+async function setForegroundApp(device, appId, name) {
+    if (device.foregroundAppId === appId) {
+        return;
+    }
+    device.foregroundAppId = appId;
+    await adapter.setStateAsync(`${device.name}.state.appId`, appId, true);
+    const installed = device.installedApps && device.installedApps.get(appId);
+    const knownName = TIZEN_KNOWN_APPS[appId] || (installed && installed.name);
+    await adapter.setStateAsync(`${device.name}.state.app`, appId ? name || knownName || appId : '', true);
+    adapter.log.debug(`Foreground app for ${device.name}: ${appId || '-'}`);
+    // Leaving or entering an app often goes along with an input change, the cloud knows which.
+    // Skipped on standby, where the remote session has already been closed.
+    const session = tizenSessions.get(`${device.id}|${TIZEN_REMOTE_CHANNEL}`);
+    if (isSmartThingsEnabled(device) && session && session.keepAlive) {
+        refreshSmartThingsStatus(device).catch(e =>
+            adapter.log.debug(`SmartThings status failed for ${device.name}: ${e.message}`),
+        );
+    }
+}
+
+async function refreshInstalledApps(device) {
+    const message = await tizenSessionRequest(
+        device,
+        {
+            method: 'ms.channel.emit',
+            params: {
+                event: 'ed.installedApp.get',
+                to: 'host',
+            },
+        },
+        { event: 'ed.installedApp.get', timeoutMs: 8000 },
+    );
+    const list = message?.data?.data;
+    if (!Array.isArray(list)) {
+        throw new Error('Invalid installed app list');
+    }
+    const apps = list
+        .filter(app => app && app.appId)
+        .map(app => ({
+            id: String(app.appId),
+            name: String(app.name || app.appId),
+            type: typeof app.app_type === 'number' ? app.app_type : null,
+        }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+    device.installedApps = new Map(apps.map(app => [app.id, app]));
+    await syncAppObjects(device, apps);
+    adapter.log.debug(`Installed apps for ${device.name}: ${apps.length}`);
+    // The foreground app may be one the fallback list did not cover.
+    scheduleForegroundAppRefresh(device, 0);
+}
+
+async function syncAppObjects(device, apps) {
+    const base = `${device.name}.apps`;
+    await syncButtonObjects(
+        base,
+        'Apps',
+        apps.map(app => ({
+            key: sanitizeName(app.name) || `app-${sanitizeName(app.id)}`,
+            name: app.name,
+            native: { appId: app.id },
+        })),
+        ['list'],
+    );
+    await ensureState(`${base}.list`, 'Installed Apps', 'string', 'json', '[]', true);
+    await adapter.setStateAsync(`${base}.list`, JSON.stringify(apps), true);
+}
+
+async function handleAppButton(device, id, key, value) {
+    if (!isTruthyValue(value)) {
+        return;
+    }
+    const obj = await adapter.getObjectAsync(`${device.name}.apps.${key}`);
+    const appId = obj && obj.native && obj.native.appId;
+    if (!appId) {
+        return;
+    }
+    await launchApp(device, appId);
+    await adapter.setStateAsync(id, false, true);
+}
+
+function scheduleForegroundAppRefresh(device, delayMs) {
+    if (!device || device.appRefreshTimer) {
+        return;
+    }
+    device.appRefreshTimer = setTimeout(() => {
+        device.appRefreshTimer = null;
+        refreshTizenForegroundApp(device).catch(() => undefined);
+    }, delayMs);
+}
+
+async function syncArtObjects(device) {
+    const base = `${device.name}.art`;
+    if (device.frameTvSupport !== true) {
+        if (device.frameTvSupport === false) {
+            await deletePrefix(`${adapter.namespace}.${base}`);
+        }
+        return;
+    }
+    await adapter.setObjectNotExistsAsync(base, {
+        type: 'channel',
+        common: { name: 'Art Mode' },
+        native: {},
+    });
+    await ensureState(`${base}.mode`, 'Art Mode', 'boolean', 'switch', false, false);
+    await ensureState(`${base}.artworkId`, 'Current Artwork', 'string', 'text', '', true);
+    await ensureState(`${base}.list`, 'Artworks', 'string', 'json', '[]', true);
+    await ensureState(`${base}.select`, 'Select Artwork', 'string', 'text', '', false);
+    await ensureState(`${base}.upload`, 'Upload Artwork', 'string', 'text', '', false);
+    await ensureState(`${base}.delete`, 'Delete Artwork', 'string', 'text', '', false);
+}
+
+async function updateFrameTvSupport(device, info) {
+    const frameTvSupport = parseFrameTvSupport(info);
+    if (typeof frameTvSupport !== 'boolean' || device.frameTvSupport === frameTvSupport) {
+        return;
+    }
+    device.frameTvSupport = frameTvSupport;
+    await syncArtObjects(device);
+    updateConfigDeviceFromDiscovery(device, { id: device.id, frameTvSupport });
+}
+
+async function handleArtControl(device, id, command, value) {
+    switch (command) {
+        case 'mode':
+            await setArtMode(device, isTruthyValue(value));
+            await adapter.setStateAsync(id, isTruthyValue(value), true);
+            return;
+        case 'select':
+            if (typeof value === 'string' && value.trim()) {
+                await selectArtwork(device, value.trim());
+                await adapter.setStateAsync(id, value.trim(), true);
+            }
+            return;
+        case 'upload': {
+            const request = parseArtUploadRequest(value);
+            if (!request) {
+                return;
+            }
+            await uploadArtwork(device, await readArtUploadData(request), request);
+            await adapter.setStateAsync(id, '', true);
+            return;
+        }
+        case 'delete': {
+            const contentIds = parseContentIds(value);
+            if (contentIds.length) {
+                await deleteArtworks(device, contentIds);
+            }
+            await adapter.setStateAsync(id, '', true);
+            return;
+        }
+        default:
+            adapter.log.debug(`Unknown art command: ${command}`);
+    }
+}
+
+function buildArtPayload(request, params = {}) {
+    const id = params.id || crypto.randomUUID();
+    return {
+        method: 'ms.channel.emit',
+        params: {
+            event: 'art_app_request',
+            to: 'host',
+            data: JSON.stringify({ ...params, request, id, request_id: id }),
+        },
+    };
+}
+
+function parseArtEventData(message) {
+    const raw = message?.data;
+    if (raw && typeof raw === 'object') {
+        return raw;
+    }
+    if (typeof raw !== 'string') {
+        return {};
+    }
+    try {
+        return JSON.parse(raw) || {};
+    } catch (e) {
+        return {};
+    }
+}
+
+async function tizenArtRequest(device, request, params = {}, options = {}) {
+    const id = params.id || crypto.randomUUID();
+    const message = await tizenSessionRequest(device, buildArtPayload(request, { ...params, id }), {
+        channel: TIZEN_ART_CHANNEL,
+        event: 'd2d_service_message',
+        match: matchArtResponse(id, options.event),
+        timeoutMs: options.timeoutMs,
+    });
+    return checkArtResponse(message, request);
+}
+
+// Art responses carry the request id; some firmware only sends the event name.
+function matchArtResponse(id, eventName) {
+    return message => {
+        const data = parseArtEventData(message);
+        return data.id === id || data.request_id === id || (!!eventName && data.event === eventName);
+    };
+}
+
+function checkArtResponse(message, request) {
+    const data = parseArtEventData(message);
+    if (data.event === 'error') {
+        throw new Error(`Art request ${request} failed: ${data.error_code || 'unknown error'}`);
+    }
+    return data;
+}
+
+async function setArtMode(device, on) {
+    requireFrameTv(device);
+    await tizenSend(device, buildArtPayload('set_artmode_status', { value: on ? 'on' : 'off' }), TIZEN_ART_CHANNEL);
+}
+
+async function refreshArtStatus(device) {
+    const status = await tizenArtRequest(device, 'get_artmode_status');
+    await setArtModeState(device, status.value === 'on');
+    const artwork = await tizenArtRequest(device, 'get_current_artwork');
+    await setArtworkState(device, artwork.content_id || '');
+    await refreshArtworkList(device);
+}
+
+function handleArtMessage(device, message) {
+    if (message.event !== 'd2d_service_message') {
+        return;
+    }
+    const data = parseArtEventData(message);
+    switch (data.event) {
+        case 'art_mode_changed':
+        case 'artmode_status':
+            setArtModeState(device, (data.status || data.value) === 'on').catch(() => undefined);
+            return;
+        case 'image_selected':
+        case 'current_artwork':
+            if (data.content_id) {
+                setArtworkState(device, data.content_id).catch(() => undefined);
+            }
+            return;
+        default:
+            return;
+    }
+}
+
+async function setArtModeState(device, on) {
+    device.artMode = on;
+    await adapter.setStateAsync(`${device.name}.art.mode`, on, true);
+}
+
+async function setArtworkState(device, contentId) {
+    await adapter.setStateAsync(`${device.name}.art.artworkId`, contentId, true);
+}
+
+function requireFrameTv(device) {
+    if (device.api !== 'tizen' || device.frameTvSupport !== true) {
+        throw new Error('Art mode is only available on Frame TVs');
+    }
+}
+
+async function listArtworks(device, category) {
+    requireFrameTv(device);
+    const params = category ? { category } : {};
+    const data = await tizenArtRequest(device, 'get_content_list', params, { event: 'content_list' });
+    let list = data.content_list;
+    if (typeof list === 'string') {
+        try {
+            list = JSON.parse(list);
         } catch (e) {
-            // ignore
+            list = null;
         }
-    }, delay);
+    }
+    if (!Array.isArray(list)) {
+        throw new Error('Invalid artwork list');
+    }
+    return list
+        .filter(item => item && item.content_id)
+        .map(item => ({
+            id: String(item.content_id),
+            category: item.category_id || '',
+            matte: item.matte_id || '',
+            width: Number(item.width) || undefined,
+            height: Number(item.height) || undefined,
+        }));
 }
 
-async function sendKey(device, key) {
-    if (device.api === 'tizen') {
+async function refreshArtworkList(device) {
+    const items = await listArtworks(device);
+    await adapter.setStateAsync(`${device.name}.art.list`, JSON.stringify(items), true);
+    adapter.log.debug(`Artworks on ${device.name}: ${items.length}`);
+    return items;
+}
+
+async function selectArtwork(device, contentId, show = true) {
+    requireFrameTv(device);
+    await tizenSend(
+        device,
+        buildArtPayload('select_image', { content_id: contentId, category_id: null, show }),
+        TIZEN_ART_CHANNEL,
+    );
+}
+
+async function deleteArtworks(device, contentIds) {
+    requireFrameTv(device);
+    await tizenArtRequest(
+        device,
+        'delete_image_list',
+        { content_id_list: contentIds.map(id => ({ content_id: id })) },
+        { event: 'image_deleted' },
+    );
+    refreshArtworkList(device).catch(() => undefined);
+}
+
+// Upload protocol: send_image announces the file, the TV answers with a socket (ready_to_use),
+// the image is streamed there with a length-prefixed JSON header, and image_added reports the new id.
+async function uploadArtwork(device, data, options = {}) {
+    requireFrameTv(device);
+    const fileType = detectImageType(data);
+    if (!fileType) {
+        throw new Error('Only JPEG and PNG images can be uploaded');
+    }
+    const matte = options.matte || 'none';
+    const id = crypto.randomUUID();
+    const ready = await tizenArtRequest(
+        device,
+        'send_image',
+        {
+            id,
+            file_type: fileType,
+            conn_info: {
+                d2d_mode: 'socket',
+                connection_id: crypto.randomInt(0x7fffffff),
+                id,
+            },
+            image_date: formatArtImageDate(new Date()),
+            matte_id: matte,
+            portrait_matte_id: options.portraitMatte || matte,
+            file_size: data.length,
+        },
+        { event: 'ready_to_use', timeoutMs: ART_UPLOAD_TIMEOUT },
+    );
+    let connInfo = ready.conn_info;
+    if (typeof connInfo === 'string') {
         try {
-            await tizenSendKey(device, key);
-            markSeen(device);
-            return;
+            connInfo = JSON.parse(connInfo);
         } catch (e) {
-            if (isTizenRemoteUnsupported(e)) {
-                const hjOk = device.hjAvailable === true || (await checkPort(device.ip, 8000, 1500));
-                if (hjOk) {
-                    device.hjAvailable = true;
-                    device.api = 'hj';
-                    adapter.log.warn(`Tizen remote unsupported for ${device.name}, switching to HJ`);
-                    await updateDeviceInfoStates(device);
-                    updateConfigDeviceFromDiscovery(device, {
-                        id: device.id,
-                        ip: device.ip,
-                        mac: device.mac,
-                        api: 'hj',
-                        hjAvailable: true,
-                    });
-                    await hjSendKey(device, key);
-                    markSeen(device);
-                    return;
-                }
-            }
-            throw e;
+            connInfo = null;
         }
-    } else if (device.api === 'hj') {
-        await hjSendKey(device, key);
-    } else if (device.api === 'legacy') {
-        await legacySendKey(device, key);
+    }
+    if (!connInfo || !connInfo.ip || !connInfo.port) {
+        throw new Error('TV did not provide an upload connection');
+    }
+
+    const session = await ensureTizenSession(device, TIZEN_ART_CHANNEL);
+    const added = waitForTizenEvent(session, {
+        event: 'd2d_service_message',
+        match: message => parseArtEventData(message).event === 'image_added',
+        timeoutMs: ART_UPLOAD_TIMEOUT,
+    });
+    const header = {
+        num: 0,
+        total: 1,
+        fileLength: data.length,
+        fileName: 'iobroker',
+        fileType,
+        secKey: connInfo.key,
+        version: '0.0.1',
+    };
+    // Both at once: the image_added waiter can fail (timeout, socket closed) while the upload still runs.
+    const [, message] = await Promise.all([sendArtworkData(connInfo, header, data), added.promise]);
+    const result = checkArtResponse(message, 'send_image');
+    const contentId = result.content_id || '';
+    adapter.log.debug(`Uploaded artwork to ${device.name}: ${contentId || '-'}`);
+    if (contentId && options.select) {
+        await selectArtwork(device, contentId);
+    }
+    refreshArtworkList(device).catch(() => undefined);
+    return contentId;
+}
+
+function sendArtworkData(connInfo, header, data) {
+    return new Promise((resolve, reject) => {
+        const target = { host: connInfo.ip, port: Number(connInfo.port) };
+        const secured = connInfo.secured === true || connInfo.secured === 'true';
+        const socket = secured ? tls.connect({ ...target, rejectUnauthorized: false }) : net.createConnection(target);
+        const timer = setTimeout(() => {
+            socket.destroy();
+            reject(new Error('Artwork upload timeout'));
+        }, ART_UPLOAD_TIMEOUT);
+        socket.once(secured ? 'secureConnect' : 'connect', () => {
+            const headerBuf = Buffer.from(JSON.stringify(header));
+            const length = Buffer.alloc(4);
+            length.writeUInt32BE(headerBuf.length, 0);
+            socket.end(Buffer.concat([length, headerBuf, data]), () => {
+                clearTimeout(timer);
+                resolve();
+            });
+        });
+        socket.on('error', err => {
+            clearTimeout(timer);
+            socket.destroy();
+            reject(err);
+        });
+    });
+}
+
+function detectImageType(data) {
+    if (!Buffer.isBuffer(data) || data.length < 4) {
+        return '';
+    }
+    if (data[0] === 0xff && data[1] === 0xd8) {
+        return 'jpg';
+    }
+    if (data[0] === 0x89 && data[1] === 0x50 && data[2] === 0x4e && data[3] === 0x47) {
+        return 'png';
+    }
+    return '';
+}
+
+function formatArtImageDate(date) {
+    const pad = value => String(value).padStart(2, '0');
+    return (
+        `${date.getFullYear()}:${pad(date.getMonth() + 1)}:${pad(date.getDate())} ` +
+        `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`
+    );
+}
+
+// control value: file path, or JSON { file, matte?, portraitMatte?, select? }
+function parseArtUploadRequest(value) {
+    if (value && typeof value === 'object') {
+        return value.file || value.data ? value : null;
+    }
+    if (typeof value !== 'string' || !value.trim()) {
+        return null;
+    }
+    const trimmed = value.trim();
+    if (trimmed.startsWith('{')) {
+        try {
+            return parseArtUploadRequest(JSON.parse(trimmed));
+        } catch (e) {
+            return null;
+        }
+    }
+    return { file: trimmed };
+}
+
+// Files follow the control.playFile rules: inside the media directory or from the ioBroker file store.
+async function readArtUploadData(request) {
+    let data;
+    if (request.data) {
+        data = Buffer.isBuffer(request.data) ? request.data : Buffer.from(String(request.data), 'base64');
     } else {
-        // try tizen first
+        const file = await resolveMediaFile(request.file);
+        if (file.size > ART_UPLOAD_MAX_BYTES) {
+            throw new Error(`Image too large (max. ${ART_UPLOAD_MAX_BYTES / 1024 / 1024} MB): ${request.file}`);
+        }
+        data =
+            file.source === 'store'
+                ? await readMediaStoreFile(file.meta, file.path)
+                : await fs.promises.readFile(file.path);
+    }
+    if (data.length > ART_UPLOAD_MAX_BYTES) {
+        throw new Error(`Image too large (max. ${ART_UPLOAD_MAX_BYTES / 1024 / 1024} MB)`);
+    }
+    return data;
+}
+
+function parseContentIds(value) {
+    const list = Array.isArray(value) ? value : String(value || '').split(',');
+    return list.map(id => String(id).trim()).filter(Boolean);
+}
+
+async function selectSource(device, value) {
+    if (value.toUpperCase().startsWith('KEY_')) {
+        await sendKey(device, value.toUpperCase());
+        return;
+    }
+    const entry = resolveSource(device, value);
+    const source = entry ? entry.id : value;
+    if (entry && entry.agentId !== undefined) {
         try {
-            await tizenSendKey(device, key);
+            await mainTvAgentAction(device, 'SetMainTVSource', { Source: entry.id, ID: entry.agentId, UiID: -1 });
+            await setSourceState(device, source);
+            return;
         } catch (e) {
-            if (isTizenRemoteUnsupported(e)) {
-                const hjOk = await checkPort(device.ip, 8000, 1500);
-                if (hjOk) {
-                    device.hjAvailable = true;
-                    device.api = 'hj';
-                    adapter.log.warn(`Tizen remote unsupported for ${device.name}, switching to HJ`);
-                    await updateDeviceInfoStates(device);
-                    updateConfigDeviceFromDiscovery(device, {
-                        id: device.id,
-                        ip: device.ip,
-                        mac: device.mac,
-                        api: 'hj',
-                        hjAvailable: true,
-                    });
-                    await hjSendKey(device, key);
-                    markSeen(device);
-                    return;
-                }
+            adapter.log.debug(`MainTVAgent2 source change failed for ${device.name}: ${e.message}`);
+        }
+    }
+    if (isSmartThingsEnabled(device)) {
+        try {
+            await smartThingsCommand(
+                device,
+                device.smartThingsSourceCapability || 'mediaInputSource',
+                'setInputSource',
+                [source],
+            );
+            await setSourceState(device, source);
+            return;
+        } catch (e) {
+            adapter.log.debug(`SmartThings source change failed for ${device.name}, using keys: ${e.message}`);
+        }
+    }
+    const directKey = SOURCE_KEYS[source.toUpperCase()];
+    await sendKey(device, directKey || `KEY_${source.toUpperCase()}`);
+    if (directKey) {
+        // Only direct-select keys say where the TV ends up, KEY_HDMI/KEY_SOURCE just cycle.
+        await setSourceState(device, source.toUpperCase());
+    }
+}
+
+// Active input on MainTVAgent2 sets; SmartThings reports it with its status.
+async function refreshCurrentSource(device) {
+    if (!(await getMainTvAgentUrl(device))) {
+        return;
+    }
+    const text = await mainTvAgentAction(device, 'GetCurrentExternalSource');
+    const source = getSoapValue(text, 'CurrentExternalSource');
+    if (source) {
+        await setSourceState(device, source);
+    }
+}
+
+async function setSourceState(device, source) {
+    if (device.currentSource === source) {
+        return;
+    }
+    device.currentSource = source;
+    await adapter.setStateAsync(`${device.name}.state.source`, source, true);
+    if (source) {
+        adapter.log.debug(`Source of ${device.name}: ${source}`);
+    }
+}
+
+function getConfiguredSourceNames() {
+    const list = Array.isArray(adapter.config.sourceNames) ? adapter.config.sourceNames : [];
+    const result = [];
+    for (const raw of list) {
+        if (!raw || typeof raw !== 'object' || !raw.name || !raw.source) {
+            continue;
+        }
+        result.push({
+            name: String(raw.name).trim(),
+            device: typeof raw.device === 'string' ? raw.device.trim() : '',
+            source: String(raw.source).trim(),
+        });
+    }
+    return result;
+}
+
+/**
+ * Available inputs as `{ id, name, agentId? }`: the MainTVAgent2 source list if the TV has one,
+ * else the SmartThings input sources, else the direct-select keys for the API generation.
+ */
+function getSourceList(device) {
+    let list;
+    if (device.mainTvSources && device.mainTvSources.length) {
+        list = device.mainTvSources;
+    } else if (device.smartThingsSources && device.smartThingsSources.length) {
+        list = device.smartThingsSources;
+    } else {
+        const ids = device.api === 'tizen' ? TIZEN_DEFAULT_SOURCES : Object.keys(SOURCE_KEYS);
+        list = ids.map(id => ({ id, name: id }));
+    }
+    const names = device.sourceNames || [];
+    return list.map(entry => {
+        const custom = names.find(item => item.source.toLowerCase() === entry.id.toLowerCase());
+        return custom ? { ...entry, name: custom.name } : entry;
+    });
+}
+
+// Accepts the source id or its (custom) name, case-insensitive.
+function resolveSource(device, value) {
+    const ref = value.toLowerCase();
+    const list = getSourceList(device);
+    const entry =
+        list.find(item => item.id.toLowerCase() === ref) || list.find(item => item.name.toLowerCase() === ref);
+    if (entry) {
+        return entry;
+    }
+    const custom = (device.sourceNames || []).find(item => item.name.toLowerCase() === ref);
+    return custom ? { id: custom.source, name: custom.name } : null;
+}
+
+async function refreshSourceList(device) {
+    if (await getMainTvAgentUrl(device)) {
+        const text = await mainTvAgentAction(device, 'GetSourceList');
+        const xml = getSoapValue(text, 'SourceList') || '';
+        const sources = [];
+        for (const match of xml.matchAll(/<Source>([\s\S]*?)<\/Source>/gi)) {
+            const id = getXmlValue(match[1], ['SourceType']);
+            const agentId = getXmlValue(match[1], ['ID']);
+            if (id && agentId && !sources.some(item => item.id === id)) {
+                sources.push({ id, name: getXmlValue(match[1], ['DeviceName']) || id, agentId });
             }
-            await legacySendKey(device, key);
         }
+        device.mainTvSources = sources;
     }
-    markSeen(device);
+    await updateSourceStates(device);
 }
 
-function isTizenRemoteUnsupported(err) {
-    if (!err || !err.message) {
-        return false;
+async function updateSourceStates(device) {
+    const states = {};
+    for (const entry of getSourceList(device)) {
+        states[entry.id] = entry.name;
     }
-    return /unrecognized method value|ms\\.remote\\.control/i.test(err.message);
+    await updateCommonStates(`${device.name}.control.source`, states);
 }
 
-async function legacySendKey(device, key) {
-    if (!device.ip) {
-        throw new Error('No IP');
+function isSmartThingsEnabled(device) {
+    return !!(adapter.config.smartThingsToken && device && device.smartThingsId);
+}
+
+function getSmartThingsApiUrl() {
+    const url = (adapter.config.smartThingsApiUrl || '').trim() || SMARTTHINGS_API_URL;
+    return url.replace(/\/+$/, '');
+}
+
+async function smartThingsRequest(method, path, body) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), SMARTTHINGS_TIMEOUT);
+    try {
+        const resp = await fetch(`${getSmartThingsApiUrl()}${path}`, {
+            method,
+            headers: {
+                Authorization: `Bearer ${adapter.config.smartThingsToken}`,
+                'Content-Type': 'application/json',
+            },
+            body: body ? JSON.stringify(body) : undefined,
+            signal: controller.signal,
+        });
+        if (!resp.ok) {
+            throw new Error(`SmartThings ${method} ${path} failed (status ${resp.status})`);
+        }
+        const text = await resp.text();
+        return text ? JSON.parse(text) : {};
+    } finally {
+        clearTimeout(timer);
     }
-    await new Promise((resolve, reject) => {
-        const remote = new LegacyRemote({ ip: device.ip });
-        remote.send(key, err => (err ? reject(err) : resolve()));
+}
+
+async function smartThingsCommand(device, capability, command, args = []) {
+    await smartThingsRequest('POST', `/devices/${encodeURIComponent(device.smartThingsId)}/commands`, {
+        commands: [{ component: 'main', capability, command, arguments: args }],
     });
+    markSeen(device);
 }
 
-async function hjSendKey(device, key) {
-    if (!device.ip) {
-        throw new Error('No IP');
+async function syncSmartThingsObjects(device) {
+    const base = device.name;
+    if (!isSmartThingsEnabled(device)) {
+        for (const id of ['state.pictureMode', 'state.soundMode', 'control.pictureMode', 'control.soundMode']) {
+            await removeStateIfExists(`${base}.${id}`);
+        }
+        return;
     }
-    const tv = new SamsungHJ({ ...HJ_DEVICE_CONFIG, ip: device.ip });
-    await tv.init2();
-    const identity = getHjIdentity(device.id);
-    if (!identity) {
-        throw new Error('Not paired (HJ)');
+    await ensureState(`${base}.state.pictureMode`, 'Picture Mode', 'string', 'text', '', true);
+    await ensureState(`${base}.state.soundMode`, 'Sound Mode', 'string', 'text', '', true);
+    await ensureState(`${base}.control.pictureMode`, 'Picture Mode', 'string', 'text', '', false);
+    await ensureState(`${base}.control.soundMode`, 'Sound Mode', 'string', 'text', '', false);
+}
+
+// Input source, picture and sound mode as reported by the SmartThings cloud.
+async function refreshSmartThingsStatus(device) {
+    const status = await smartThingsRequest('GET', `/devices/${encodeURIComponent(device.smartThingsId)}/status`);
+    const main = status?.components?.main || {};
+    const base = device.name;
+
+    const vdSource = main['samsungvd.mediaInputSource'];
+    const source = vdSource?.inputSource?.value ?? main.mediaInputSource?.inputSource?.value;
+    device.smartThingsSourceCapability = vdSource ? 'samsungvd.mediaInputSource' : 'mediaInputSource';
+    const sources =
+        parseSmartThingsSources(vdSource?.supportedInputSourcesMap?.value) ||
+        parseSmartThingsSources(main.mediaInputSource?.supportedInputSources?.value);
+    if (sources && JSON.stringify(sources) !== JSON.stringify(device.smartThingsSources)) {
+        device.smartThingsSources = sources;
+        await updateSourceStates(device);
+    }
+    if (typeof source === 'string') {
+        await setSourceState(device, source);
+    }
+
+    const picture = main['custom.picturemode'];
+    if (typeof picture?.pictureMode?.value === 'string') {
+        await adapter.setStateAsync(`${base}.state.pictureMode`, picture.pictureMode.value, true);
+    }
+    await updateModeStates(`${base}.control.pictureMode`, picture?.supportedPictureModes?.value);
+
+    const sound = main['custom.soundmode'];
+    if (typeof sound?.soundMode?.value === 'string') {
+        await adapter.setStateAsync(`${base}.state.soundMode`, sound.soundMode.value, true);
+    }
+    await updateModeStates(`${base}.control.soundMode`, sound?.supportedSoundModes?.value);
+}
+
+// supportedInputSourcesMap holds { id, name }, supportedInputSources plain ids.
+function parseSmartThingsSources(value) {
+    if (!Array.isArray(value) || !value.length) {
+        return null;
+    }
+    const sources = [];
+    for (const item of value) {
+        const id = typeof item === 'string' ? item : item?.id;
+        if (typeof id === 'string' && id) {
+            sources.push({ id, name: (typeof item === 'object' && item.name) || id });
+        }
+    }
+    return sources.length ? sources : null;
+}
+
+async function updateModeStates(id, modes) {
+    if (!Array.isArray(modes) || !modes.length) {
+        return;
+    }
+    const states = {};
+    for (const mode of modes) {
+        states[mode] = mode;
+    }
+    await updateCommonStates(id, states);
+}
+
+// Written as a whole, extendObjectAsync would merge the states and keep entries that are gone.
+async function updateCommonStates(id, states) {
+    const obj = await adapter.getObjectAsync(id);
+    if (!obj || JSON.stringify(obj.common.states || {}) === JSON.stringify(states)) {
+        return;
     }
-    tv.identity = identity;
-    if (tv.pairing) {
-        tv.pairing.identity = identity;
+    obj.common.states = states;
+    await adapter.setObjectAsync(id, obj);
+}
+
+async function setSmartThingsMode(device, command, mode) {
+    if (!isSmartThingsEnabled(device)) {
+        throw new Error('SmartThings is not configured for this TV');
     }
-    try {
-        await tv.connect();
-        const powerKeys = new Set(['KEY_POWER', 'KEY_POWEROFF', 'KEY_POWERON']);
-        if (tv.connection && powerKeys.has(key)) {
-            tv.connection.sendKey(key, 'Press');
-            await new Promise(resolve => setTimeout(resolve, 150));
-            tv.connection.sendKey(key, 'Release');
-            adapter.log.debug(`HJ sendKey ${key} (press/release) to ${device.name}`);
-        } else {
-            tv.sendKey(key);
-            adapter.log.debug(`HJ sendKey ${key} to ${device.name}`);
-        }
-    } catch (e) {
-        adapter.log.debug(`HJ sendKey failed (${key}) for ${device.name}: ${e.message}`);
-        await tv.connect();
-        const powerKeys = new Set(['KEY_POWER', 'KEY_POWEROFF', 'KEY_POWERON']);
-        if (tv.connection && powerKeys.has(key)) {
-            tv.connection.sendKey(key, 'Press');
-            await new Promise(resolve => setTimeout(resolve, 150));
-            tv.connection.sendKey(key, 'Release');
-            adapter.log.debug(`HJ sendKey retry ${key} (press/release) to ${device.name}`);
-        } else {
-            tv.sendKey(key);
-            adapter.log.debug(`HJ sendKey retry ${key} to ${device.name}`);
-        }
+    if (command === 'pictureMode') {
+        await smartThingsCommand(device, 'custom.picturemode', 'setPictureMode', [mode]);
+    } else {
+        await smartThingsCommand(device, 'custom.soundmode', 'setSoundMode', [mode]);
     }
+    await adapter.setStateAsync(`${device.name}.state.${command}`, mode, true);
 }
 
-async function launchApp(device, appId) {
+async function sendText(device, text) {
     if (device.api !== 'tizen') {
-        adapter.log.warn(`launchApp only supported for Tizen devices (${device.name})`);
+        adapter.log.warn(`Text input only supported for Tizen devices (${device.name})`);
         return;
     }
     await tizenSend(device, {
-        method: 'ms.channel.emit',
+        method: 'ms.remote.control',
         params: {
-            event: 'ed.apps.launch',
-            to: 'host',
-            data: {
-                action_type: 'NATIVE_LAUNCH',
-                appId,
-            },
+            Cmd: Buffer.from(text, 'utf8').toString('base64'),
+            DataOfCmd: 'base64',
+            TypeOfRemote: 'SendInputString',
+        },
+    });
+    await tizenSend(device, {
+        method: 'ms.remote.control',
+        params: {
+            TypeOfRemote: 'SendInputEnd',
         },
     });
     markSeen(device);
 }
 
-async function selectSource(device, source) {
-    const sourceKey = source.toUpperCase().startsWith('KEY_') ? source.toUpperCase() : `KEY_${source.toUpperCase()}`;
-    await sendKey(device, sourceKey);
+async function tizenSendMouse(device, cmd, position) {
+    if (device.api !== 'tizen') {
+        adapter.log.warn(`Mouse control only supported for Tizen devices (${device.name})`);
+        return;
+    }
+    const params = {
+        Cmd: cmd,
+        TypeOfRemote: 'ProcessMouseDevice',
+    };
+    if (position) {
+        params.Position = { x: position.dx, y: position.dy, Time: String(Date.now()) };
+    }
+    await tizenSend(device, { method: 'ms.remote.control', params });
+    markSeen(device);
+}
+
+async function tizenHoldKey(device, key, holdMs) {
+    await holdKey(
+        () => tizenSendKey(device, key, 'Press'),
+        () => tizenSendKey(device, key, 'Release'),
+        holdMs,
+    );
+}
+
+// The Release is sent even if the hold fails half-way, otherwise the TV keeps repeating the key.
+async function holdKey(press, release, holdMs) {
+    await press();
+    try {
+        const end = Date.now() + holdMs;
+        while (end - Date.now() > KEY_REPEAT_INTERVAL) {
+            await sleep(KEY_REPEAT_INTERVAL);
+            await press();
+        }
+        await sleep(Math.max(0, end - Date.now()));
+    } finally {
+        await release();
+    }
 }
 
-async function tizenSendKey(device, key) {
+async function tizenSendKey(device, key, cmd = 'Click') {
     try {
         await tizenSend(device, {
             method: 'ms.remote.control',
             params: {
-                Cmd: 'Click',
+                Cmd: cmd,
                 DataOfCmd: key,
                 Option: 'false',
                 TypeOfRemote: 'SendRemoteKey',
@@ -1545,26 +3596,368 @@ async function tizenSendKey(device, key) {
     }
 }
 
-async function tizenSend(device, payload) {
+async function tizenSend(device, payload, channel = TIZEN_REMOTE_CHANNEL) {
+    const session = await ensureTizenSession(device, channel);
+    try {
+        await tizenSessionWrite(session, payload);
+    } catch (e) {
+        if (!/^Tizen session (not connected|closed)/.test(e.message || '')) {
+            throw e;
+        }
+        // Socket dropped between connect and write: reconnect once and retry.
+        const retry = await ensureTizenSession(device, channel);
+        await tizenSessionWrite(retry, payload);
+    }
+}
+
+function getTizenSession(device, channel = TIZEN_REMOTE_CHANNEL) {
+    const key = `${device.id}|${channel}`;
+    let session = tizenSessions.get(key);
+    if (!session) {
+        session = {
+            key,
+            deviceId: device.id,
+            channel,
+            ws: null,
+            url: '',
+            ip: '',
+            ready: false,
+            verified: false,
+            keepAlive: false,
+            connecting: null,
+            reconnectTimer: null,
+            reconnectDelay: TIZEN_SESSION_RECONNECT_MIN,
+            waiters: new Set(),
+        };
+        tizenSessions.set(key, session);
+    }
+    return session;
+}
+
+// Connects on demand. Only commands get here after a denial; polling and reconnects check tizenDenied first.
+async function ensureTizenSession(device, channel = TIZEN_REMOTE_CHANNEL) {
+    const session = getTizenSession(device, channel);
+    device.tizenDenied = false;
+    session.keepAlive = true;
+    if (session.ws && session.ip !== device.ip) {
+        dropTizenSessionSocket(session);
+    }
+    if (session.ws && session.ready) {
+        return session;
+    }
+    if (!session.connecting) {
+        session.connecting = connectTizenSession(device, session).finally(() => {
+            session.connecting = null;
+        });
+    }
+    await session.connecting;
+    return session;
+}
+
+function startTizenSession(device, channel = TIZEN_REMOTE_CHANNEL) {
+    const session = getTizenSession(device, channel);
+    if (device.tizenDenied || session.ready || session.connecting || session.reconnectTimer) {
+        return;
+    }
+    ensureTizenSession(device, channel).catch(e => {
+        adapter.log.debug(`Tizen ${channel} session connect failed for ${device.name}: ${e.message}`);
+        scheduleTizenSessionReconnect(session);
+    });
+}
+
+async function connectTizenSession(device, session) {
     const tokenRaw = getTizenTokenRaw(device.id);
     const token = tokenRaw === NO_TOKEN ? '' : tokenRaw;
     if (device.tokenAuthSupport === true && !token) {
         throw new Error('Not paired (Tizen)');
     }
-    const urlCandidates = buildTizenWsCandidates(device, token, ['v2', 'v3']);
+    const candidates = buildTizenWsCandidates(device, token, ['v2', 'v3'], session.channel);
+    const urls =
+        session.url && candidates.includes(session.url)
+            ? [session.url, ...candidates.filter(u => u !== session.url)]
+            : candidates;
     let lastError;
-    for (const url of urlCandidates) {
+    for (const url of urls) {
+        let ws;
         try {
-            await tizenWsRequest(url, payload);
-            return;
+            ws = await openTizenSessionSocket(device, session, url);
         } catch (e) {
+            if (/^Tizen WS denied/.test(e.message)) {
+                // Another URL would only show the permission prompt again.
+                device.tizenDenied = true;
+                throw e;
+            }
             lastError = e;
+            continue;
+        }
+        // closeTizenSession() may have run meanwhile (standby, re-pair, unload); never revive an orphaned session.
+        if (tizenSessions.get(session.key) !== session || !session.keepAlive) {
+            ws.terminate();
+            throw new Error('Tizen session closed');
+        }
+        session.ws = ws;
+        session.url = url;
+        session.ip = device.ip;
+        session.ready = true;
+        session.verified = false;
+        session.reconnectDelay = TIZEN_SESSION_RECONNECT_MIN;
+        adapter.log.debug(`Tizen ${session.channel} session ready for ${device.name}`);
+        // Some models drop commands sent right after ms.channel.connect.
+        await new Promise(resolve => setTimeout(resolve, WS_SEND_DELAY));
+        if (session.channel === TIZEN_ART_CHANNEL) {
+            refreshArtStatus(device).catch(e =>
+                adapter.log.debug(`Art mode refresh failed for ${device.name}: ${e.message}`),
+            );
         }
+        return;
     }
     throw lastError || new Error('Tizen WS failed');
 }
 
-function buildTizenWsCandidates(device, token, apiVersions = ['v2']) {
+function openTizenSessionSocket(device, session, url) {
+    return new Promise((resolve, reject) => {
+        const safeUrl = url.replace(/token=[^&]+/i, 'token=***');
+        const ws = new WebSocket(url, buildTizenWsOptions(url));
+        let settled = false;
+        const fail = err => {
+            if (settled) {
+                return;
+            }
+            settled = true;
+            clearTimeout(timeout);
+            ws.terminate();
+            reject(err);
+        };
+        const timeout = setTimeout(() => fail(new Error('WebSocket timeout')), WS_CONNECT_TIMEOUT);
+
+        ws.on('error', err => {
+            adapter.log.debug(`WS error: ${safeUrl}: ${err.message}`);
+            fail(err);
+        });
+
+        ws.on('open', () => {
+            adapter.log.debug(`WS connected: ${safeUrl}`);
+        });
+
+        ws.on('message', data => {
+            let message;
+            try {
+                message = JSON.parse(data.toString());
+            } catch (e) {
+                return;
+            }
+            if (settled) {
+                handleTizenSessionMessage(device, session, message);
+                return;
+            }
+            if (isTizenDenyEvent(message.event)) {
+                return fail(new Error(`Tizen WS denied: ${message.event}`));
+            }
+            if (message.event === 'ms.error') {
+                const msg = message?.data?.message || 'Tizen error';
+                return fail(new Error(`Tizen error: ${msg}`));
+            }
+            // The art channel only accepts requests after ms.channel.ready.
+            const ready =
+                message.event === 'ms.channel.ready' ||
+                (message.event === 'ms.channel.connect' && session.channel !== TIZEN_ART_CHANNEL);
+            if (ready) {
+                settled = true;
+                clearTimeout(timeout);
+                resolve(ws);
+            }
+        });
+
+        ws.on('close', (code, reason) => {
+            adapter.log.debug(`WS closed: ${safeUrl} code=${code} reason=${reason ? reason.toString() : ''}`);
+            if (!settled) {
+                fail(new Error(`WebSocket closed (code ${code})`));
+                return;
+            }
+            if (session.ws !== ws) {
+                return;
+            }
+            session.ws = null;
+            session.ready = false;
+            rejectTizenWaiters(session, new Error('Tizen session closed'));
+            if (session.channel === TIZEN_REMOTE_CHANNEL) {
+                setImeActive(device, false).catch(() => undefined);
+            }
+            scheduleTizenSessionReconnect(session);
+        });
+    });
+}
+
+function handleTizenSessionMessage(device, session, message) {
+    if (isTizenDenyEvent(message.event)) {
+        adapter.log.debug(`Tizen session for ${device.name} denied: ${message.event}`);
+        // Do not reconnect on our own; that would keep popping up the TV prompt.
+        session.keepAlive = false;
+        device.tizenDenied = true;
+        rejectTizenWaiters(session, new Error(`Tizen WS denied: ${message.event}`));
+        dropTizenSessionSocket(session);
+        return;
+    }
+    if (message.event === 'ms.error') {
+        const msg = message?.data?.message || 'Tizen error';
+        adapter.log.debug(`Tizen session error for ${device.name}: ${msg}`);
+        rejectTizenWaiters(session, new Error(`Tizen error: ${msg}`));
+        return;
+    }
+    for (const waiter of Array.from(session.waiters)) {
+        if (waiter.event && waiter.event === message.event && (!waiter.match || waiter.match(message))) {
+            waiter.resolve(message);
+        }
+    }
+    if (session.channel === TIZEN_ART_CHANNEL) {
+        handleArtMessage(device, message);
+        return;
+    }
+    if (message.event === 'ms.remote.imeStart' || message.event === 'ms.remote.imeEnd') {
+        setImeActive(device, message.event === 'ms.remote.imeStart').catch(() => undefined);
+        return;
+    }
+    if (message.event === 'ed.apps.launch' || message.event === 'ms.application.start') {
+        scheduleForegroundAppRefresh(device, 1500);
+    }
+}
+
+function tizenSessionWrite(session, payload) {
+    return new Promise((resolve, reject) => {
+        const ws = session.ws;
+        if (!ws || ws.readyState !== WebSocket.OPEN) {
+            return reject(new Error('Tizen session not connected'));
+        }
+        ws.send(JSON.stringify(payload), err => {
+            if (err) {
+                return reject(err);
+            }
+            if (session.verified) {
+                return resolve();
+            }
+            // First command on a fresh session: give the TV a moment to reject the method
+            // (e.g. H/J sets answering "unrecognized method value") before reporting success.
+            const waiter = {
+                reject: e => {
+                    clearTimeout(waiter.timer);
+                    session.waiters.delete(waiter);
+                    reject(e);
+                },
+            };
+            waiter.timer = setTimeout(() => {
+                session.waiters.delete(waiter);
+                session.verified = true;
+                resolve();
+            }, WS_SEND_DELAY);
+            session.waiters.add(waiter);
+        });
+    });
+}
+
+async function setImeActive(device, active) {
+    if (device.imeActive === active) {
+        return;
+    }
+    device.imeActive = active;
+    await adapter.setStateAsync(`${device.name}.state.imeActive`, active, true);
+}
+
+async function tizenSessionRequest(device, payload, options = {}) {
+    const session = await ensureTizenSession(device, options.channel);
+    const response = waitForTizenEvent(session, options);
+    tizenSessionWrite(session, payload).catch(e => response.reject(e));
+    return response.promise;
+}
+
+function waitForTizenEvent(session, options) {
+    const { event, match, timeoutMs } = options;
+    let waiter;
+    const promise = new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            session.waiters.delete(waiter);
+            reject(new Error(`Timeout waiting for ${event}`));
+        }, timeoutMs || WS_CONNECT_TIMEOUT);
+        waiter = {
+            event,
+            match,
+            resolve: message => {
+                clearTimeout(timer);
+                session.waiters.delete(waiter);
+                resolve(message);
+            },
+            reject: e => {
+                clearTimeout(timer);
+                session.waiters.delete(waiter);
+                reject(e);
+            },
+        };
+        session.waiters.add(waiter);
+    });
+    return { promise, reject: e => waiter.reject(e) };
+}
+
+function rejectTizenWaiters(session, err) {
+    for (const waiter of Array.from(session.waiters)) {
+        waiter.reject(err);
+    }
+}
+
+function scheduleTizenSessionReconnect(session) {
+    if (!session.keepAlive || session.reconnectTimer || tizenSessions.get(session.key) !== session) {
+        return;
+    }
+    const delay = session.reconnectDelay;
+    session.reconnectDelay = Math.min(TIZEN_SESSION_RECONNECT_MAX, delay * 2);
+    session.reconnectTimer = setTimeout(() => {
+        session.reconnectTimer = null;
+        const device = devicesById.get(session.deviceId);
+        if (!device || device.api !== 'tizen' || !session.keepAlive || device.tizenDenied) {
+            return;
+        }
+        ensureTizenSession(device, session.channel).catch(e => {
+            adapter.log.debug(`Tizen ${session.channel} session reconnect failed for ${device.name}: ${e.message}`);
+            scheduleTizenSessionReconnect(session);
+        });
+    }, delay);
+}
+
+function dropTizenSessionSocket(session) {
+    const ws = session.ws;
+    session.ws = null;
+    session.ready = false;
+    if (!ws) {
+        return;
+    }
+    try {
+        ws.close();
+    } catch (e) {
+        // ignore
+    }
+}
+
+function closeTizenSession(deviceId) {
+    for (const session of Array.from(tizenSessions.values())) {
+        if (session.deviceId !== deviceId) {
+            continue;
+        }
+        session.keepAlive = false;
+        if (session.reconnectTimer) {
+            clearTimeout(session.reconnectTimer);
+            session.reconnectTimer = null;
+        }
+        rejectTizenWaiters(session, new Error('Tizen session closed'));
+        dropTizenSessionSocket(session);
+        tizenSessions.delete(session.key);
+    }
+}
+
+function closeAllTizenSessions() {
+    for (const session of Array.from(tizenSessions.values())) {
+        closeTizenSession(session.deviceId);
+    }
+}
+
+function buildTizenWsCandidates(device, token, apiVersions = ['v2'], channel = TIZEN_REMOTE_CHANNEL) {
     const nameBase64 = Buffer.from('ioBroker').toString('base64');
     const candidates = [];
     const added = new Set();
@@ -1575,7 +3968,7 @@ function buildTizenWsCandidates(device, token, apiVersions = ['v2']) {
             return;
         }
         added.add(key);
-        let url = `${protocol}://${device.ip}:${port}/api/${apiVersion}/channels/samsung.remote.control?name=${nameBase64}`;
+        let url = `${protocol}://${device.ip}:${port}/api/${apiVersion}/channels/${channel}?name=${nameBase64}`;
         if (token && token !== NO_TOKEN) {
             url += `&token=${token}`;
         }
@@ -1602,69 +3995,6 @@ function isTizenDenyEvent(eventName) {
     );
 }
 
-async function tizenWsRequest(url, payload) {
-    return new Promise((resolve, reject) => {
-        const safeUrl = url.replace(/token=[^&]+/i, 'token=***');
-        const ws = new WebSocket(url, buildTizenWsOptions(url));
-        let timeout = setTimeout(() => {
-            ws.terminate();
-            reject(new Error('WebSocket timeout'));
-        }, WS_CONNECT_TIMEOUT);
-
-        ws.on('error', err => {
-            clearTimeout(timeout);
-            adapter.log.debug(`WS error: ${safeUrl}: ${err.message}`);
-            reject(err);
-        });
-
-        let sent = false;
-        ws.on('message', data => {
-            let message;
-            try {
-                message = JSON.parse(data.toString());
-            } catch (e) {
-                return;
-            }
-            if (isTizenDenyEvent(message.event)) {
-                clearTimeout(timeout);
-                ws.close();
-                return reject(new Error(`Tizen WS denied: ${message.event}`));
-            }
-            if (message.event === 'ms.error') {
-                clearTimeout(timeout);
-                ws.close();
-                const msg = message?.data?.message || 'Tizen error';
-                return reject(new Error(`Tizen error: ${msg}`));
-            }
-            if ((message.event === 'ms.channel.connect' || message.event === 'ms.channel.ready') && !sent) {
-                sent = true;
-                setTimeout(() => {
-                    try {
-                        ws.send(JSON.stringify(payload));
-                    } catch (e) {
-                        clearTimeout(timeout);
-                        ws.close();
-                        return reject(e);
-                    }
-                    setTimeout(() => {
-                        clearTimeout(timeout);
-                        ws.close();
-                        resolve();
-                    }, WS_SEND_DELAY);
-                }, WS_SEND_DELAY);
-            }
-        });
-
-        ws.on('open', () => {
-            adapter.log.debug(`WS connected: ${safeUrl}`);
-        });
-
-        ws.on('close', (code, reason) => {
-            adapter.log.debug(`WS closed: ${safeUrl} code=${code} reason=${reason ? reason.toString() : ''}`);
-        });
-    });
-}
-
 function buildTizenWsOptions(url) {
     try {
         const parsed = new URL(url);
@@ -1802,24 +4132,97 @@ async function hjConfirmPin(device, pin) {
     if (!pin) {
         throw new Error('Missing PIN');
     }
-    adapter.log.debug(`Pairing (HJ) confirm PIN for ${device.name} (${device.ip})`);
-    const tv = new SamsungHJ({ ...HJ_DEVICE_CONFIG, ip: device.ip });
-    await tv.init2();
-    const identity = await tv.confirmPin(pin);
-    adapter.log.debug(`Pairing (HJ) succeeded for ${device.name}`);
-    return identity;
-}
+    adapter.log.debug(`Pairing (HJ) confirm PIN for ${device.name} (${device.ip})`);
+    const tv = new SamsungHJ({ ...HJ_DEVICE_CONFIG, ip: device.ip });
+    await tv.init2();
+    const identity = await tv.confirmPin(pin);
+    adapter.log.debug(`Pairing (HJ) succeeded for ${device.name}`);
+    return identity;
+}
+
+async function onMessage(obj) {
+    if (!obj || !obj.command) {
+        return;
+    }
+
+    if (obj.command === 'discover') {
+        const timeout = (obj.message && obj.message.timeout) || adapter.config.discoveryTimeout || 5;
+        try {
+            const result = await performDiscovery(false, timeout);
+            adapter.sendTo(obj.from, obj.command, { ok: true, devices: result, lastScan: lastDiscovery }, obj.callback);
+        } catch (e) {
+            adapter.sendTo(obj.from, obj.command, { ok: false, error: e.message }, obj.callback);
+        }
+        return;
+    }
+
+    if (obj.command === 'launchApp') {
+        const device = findDevice(obj.message && (obj.message.device || obj.message.id));
+        const request = parseLaunchRequest(obj.message);
+        if (!device || !request) {
+            adapter.sendTo(obj.from, obj.command, { ok: false, error: 'Unknown device or app' }, obj.callback);
+            return;
+        }
+        try {
+            await launchApp(device, request.appId, request);
+            adapter.sendTo(obj.from, obj.command, { ok: true }, obj.callback);
+        } catch (e) {
+            adapter.sendTo(obj.from, obj.command, { ok: false, error: e.message }, obj.callback);
+        }
+        return;
+    }
 
-async function onMessage(obj) {
-    if (!obj || !obj.command) {
+    if (obj.command === 'closeApp' || obj.command === 'getAppStatus') {
+        const device = findDevice(obj.message && (obj.message.device || obj.message.id));
+        const appId = obj.message && typeof obj.message.appId === 'string' ? obj.message.appId.trim() : '';
+        if (!device || !appId) {
+            adapter.sendTo(obj.from, obj.command, { ok: false, error: 'Unknown device or app' }, obj.callback);
+            return;
+        }
+        try {
+            if (obj.command === 'closeApp') {
+                await closeApp(device, appId);
+                adapter.sendTo(obj.from, obj.command, { ok: true }, obj.callback);
+            } else {
+                const status = await getAppStatus(device, appId);
+                adapter.sendTo(obj.from, obj.command, { ok: true, ...status }, obj.callback);
+            }
+        } catch (e) {
+            adapter.sendTo(obj.from, obj.command, { ok: false, error: e.message }, obj.callback);
+        }
         return;
     }
 
-    if (obj.command === 'discover') {
-        const timeout = (obj.message && obj.message.timeout) || adapter.config.discoveryTimeout || 5;
+    if (['artList', 'artSelect', 'artUpload', 'artDelete'].includes(obj.command)) {
+        const msg = obj.message || {};
+        const device = findDevice(msg.device || msg.id);
+        if (!device) {
+            adapter.sendTo(obj.from, obj.command, { ok: false, error: 'Unknown device' }, obj.callback);
+            return;
+        }
         try {
-            const result = await performDiscovery(false, timeout);
-            adapter.sendTo(obj.from, obj.command, { ok: true, devices: result, lastScan: lastDiscovery }, obj.callback);
+            let result = {};
+            if (obj.command === 'artList') {
+                result = { items: await listArtworks(device, msg.category) };
+            } else if (obj.command === 'artSelect') {
+                if (!msg.contentId) {
+                    throw new Error('Missing contentId');
+                }
+                await selectArtwork(device, String(msg.contentId), msg.show !== false);
+            } else if (obj.command === 'artUpload') {
+                const request = parseArtUploadRequest(msg);
+                if (!request) {
+                    throw new Error('Missing file or data');
+                }
+                result = { contentId: await uploadArtwork(device, await readArtUploadData(request), request) };
+            } else {
+                const contentIds = parseContentIds(msg.contentIds || msg.contentId);
+                if (!contentIds.length) {
+                    throw new Error('Missing contentId');
+                }
+                await deleteArtworks(device, contentIds);
+            }
+            adapter.sendTo(obj.from, obj.command, { ok: true, ...result }, obj.callback);
         } catch (e) {
             adapter.sendTo(obj.from, obj.command, { ok: false, error: e.message }, obj.callback);
         }
@@ -1888,6 +4291,9 @@ async function onMessage(obj) {
 
             const token = await pairTizen(device);
             setInMemoryToken(device.id, token);
+            // Reconnect the remote session with the new token on next use.
+            closeTizenSession(device.id);
+            device.tizenDenied = false;
             if (device.api !== 'tizen') {
                 device.api = 'tizen';
                 await updateDeviceInfoStates(device);
@@ -1963,13 +4369,20 @@ async function performDiscovery(updateKnownDevices, timeoutOverride) {
                     match.port = info.port || match.port;
                     match.renderingControlUrl = info.renderingControlUrl || match.renderingControlUrl;
                     match.renderingControlEventUrl = info.renderingControlEventUrl || match.renderingControlEventUrl;
+                    match.avTransportUrl = info.avTransportUrl || match.avTransportUrl;
+                    match.avTransportEventUrl = info.avTransportEventUrl || match.avTransportEventUrl;
+                    match.mainTvAgentUrl = info.mainTvAgentUrl || match.mainTvAgentUrl;
                     if (typeof info.tokenAuthSupport === 'boolean') {
                         match.tokenAuthSupport = info.tokenAuthSupport;
                     }
+                    if (typeof info.frameTvSupport === 'boolean') {
+                        match.frameTvSupport = info.frameTvSupport;
+                    }
                     if (typeof info.hjAvailable === 'boolean') {
                         match.hjAvailable = info.hjAvailable;
                     }
                     await updateDeviceInfoStates(match);
+                    await syncArtObjects(match);
                     updateConfigDeviceFromDiscovery(match, info);
                 }
             }
@@ -2090,6 +4503,18 @@ function parseTokenAuthSupport(info) {
     return undefined;
 }
 
+function parseFrameTvSupport(info) {
+    const device = info?.device || info || {};
+    const raw = device.FrameTVSupport ?? device.frameTvSupport ?? info?.FrameTVSupport;
+    if (typeof raw === 'boolean') {
+        return raw;
+    }
+    if (typeof raw === 'string') {
+        return raw.toLowerCase() === 'true';
+    }
+    return undefined;
+}
+
 function isLikelyHjSeries(result) {
     const modelName = (result.model || '').toUpperCase();
     const code = (result.uuid || '').toUpperCase();
@@ -2133,6 +4558,9 @@ async function probeDevice(ip, seed) {
         mac: '',
         renderingControlUrl: seed.renderingControlUrl || '',
         renderingControlEventUrl: seed.renderingControlEventUrl || '',
+        avTransportUrl: '',
+        avTransportEventUrl: '',
+        mainTvAgentUrl: '',
     };
 
     // try tizen https
@@ -2183,6 +4611,13 @@ async function probeDevice(ip, seed) {
             if (!result.renderingControlEventUrl && desc.renderingControlEventUrl) {
                 result.renderingControlEventUrl = desc.renderingControlEventUrl;
             }
+            if (!result.avTransportUrl && desc.avTransportUrl) {
+                result.avTransportUrl = desc.avTransportUrl;
+                result.avTransportEventUrl = desc.avTransportEventUrl;
+            }
+            if (!result.mainTvAgentUrl && desc.mainTvAgentUrl) {
+                result.mainTvAgentUrl = desc.mainTvAgentUrl;
+            }
             adapter.log.debug(`UPnP description for ${ip}: model=${result.model || '-'} name=${result.name || '-'}`);
         }
     }
@@ -2253,6 +4688,10 @@ function applyTizenInfo(result, info) {
     if (typeof tokenAuthSupport === 'boolean') {
         result.tokenAuthSupport = tokenAuthSupport;
     }
+    const frameTvSupport = parseFrameTvSupport(info);
+    if (typeof frameTvSupport === 'boolean') {
+        result.frameTvSupport = frameTvSupport;
+    }
 }
 
 async function fetchTizenInfo(ip, protocol, port, timeoutMs) {
@@ -2279,6 +4718,7 @@ async function refreshTizenCapabilities(device) {
     }
     applyTizenInfo(device, info);
     await updateDeviceInfoStates(device);
+    await syncArtObjects(device);
 }
 
 async function fetchHjInfo(ip, timeoutMs) {
@@ -2308,26 +4748,37 @@ async function fetchUpnpDescription(url, timeoutMs) {
         const device = xml?.root?.device || xml?.device || {};
         const serviceList = device?.serviceList?.service;
         const services = Array.isArray(serviceList) ? serviceList : serviceList ? [serviceList] : [];
-        let renderingControlUrl = '';
-        let renderingControlEventUrl = '';
-        for (const svc of services) {
-            const st = (svc?.serviceType || '').toString();
-            if (!/RenderingControl/i.test(st)) {
-                continue;
-            }
-            renderingControlUrl = buildAbsoluteUrl(url, svc?.controlURL || '');
-            renderingControlEventUrl = buildAbsoluteUrl(url, svc?.eventSubURL || '');
-            if (renderingControlUrl) {
-                break;
+        const findService = pattern => {
+            for (const svc of services) {
+                const st = (svc?.serviceType || '').toString();
+                if (!pattern.test(st)) {
+                    continue;
+                }
+                const controlUrl = buildAbsoluteUrl(url, svc?.controlURL || '');
+                if (controlUrl) {
+                    return {
+                        controlUrl,
+                        eventUrl: buildAbsoluteUrl(url, svc?.eventSubURL || ''),
+                        scpdUrl: buildAbsoluteUrl(url, svc?.SCPDURL || ''),
+                    };
+                }
             }
-        }
+            return { controlUrl: '', eventUrl: '', scpdUrl: '' };
+        };
+        const renderingControl = findService(/RenderingControl/i);
+        const avTransport = findService(/AVTransport/i);
+        const mainTvAgent = findService(/MainTVAgent2/i);
         return {
             friendlyName: device.friendlyName,
             manufacturer: device.manufacturer,
             modelName: device.modelName,
             UDN: normalizeId(device.UDN || ''),
-            renderingControlUrl,
-            renderingControlEventUrl,
+            renderingControlUrl: renderingControl.controlUrl,
+            renderingControlEventUrl: renderingControl.eventUrl,
+            renderingControlScpdUrl: renderingControl.scpdUrl,
+            avTransportUrl: avTransport.controlUrl,
+            avTransportEventUrl: avTransport.eventUrl,
+            mainTvAgentUrl: mainTvAgent.controlUrl,
         };
     } catch (e) {
         return null;
@@ -2369,6 +4820,119 @@ async function readUpnpAudioStatus(device) {
     };
 }
 
+// Not every model uses 0-100; the RenderingControl SCPD lists the allowed range per state variable.
+async function getPictureRanges(device) {
+    if (device.pictureRanges) {
+        return device.pictureRanges;
+    }
+    device.pictureRanges = {};
+    let scpdUrl = device.renderingControlScpdUrl;
+    if (!scpdUrl) {
+        // The control URL may come from the config, then the description has to be looked up once.
+        const location = await discoverSsdpLocationForIp(
+            device.ip,
+            'urn:schemas-upnp-org:service:RenderingControl:1',
+            1200,
+        );
+        const desc = location ? await fetchUpnpDescription(location, 1500) : null;
+        scpdUrl = desc?.renderingControlScpdUrl || '';
+    }
+    if (scpdUrl) {
+        device.pictureRanges = await fetchScpdValueRanges(scpdUrl, 1500);
+    }
+    return device.pictureRanges;
+}
+
+// { <stateVariable>: { min, max } } for all variables with an allowedValueRange
+async function fetchScpdValueRanges(url, timeoutMs) {
+    const ranges = {};
+    try {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), timeoutMs);
+        const resp = await fetch(url, { signal: controller.signal });
+        clearTimeout(timer);
+        if (!resp.ok) {
+            return ranges;
+        }
+        const xml = xmlParser.parse(await resp.text());
+        const list = xml?.scpd?.serviceStateTable?.stateVariable;
+        for (const variable of Array.isArray(list) ? list : list ? [list] : []) {
+            const min = Number(variable?.allowedValueRange?.minimum);
+            const max = Number(variable?.allowedValueRange?.maximum);
+            if (variable?.name && Number.isFinite(min) && Number.isFinite(max) && max > min) {
+                ranges[variable.name] = { min, max };
+            }
+        }
+    } catch (e) {
+        // ignore
+    }
+    return ranges;
+}
+
+// picture.* states are only created for values the TV actually answers.
+async function refreshPictureStatus(device) {
+    const controlUrl = await getRenderingControlUrl(device);
+    if (!controlUrl) {
+        return;
+    }
+    if (!device.pictureControls) {
+        device.pictureControls = new Set();
+        device.pictureUnsupported = new Set();
+    }
+    for (const [key, name] of Object.entries(PICTURE_CONTROLS)) {
+        if (device.pictureUnsupported.has(key)) {
+            continue;
+        }
+        const id = `${device.name}.picture.${key}`;
+        let text;
+        try {
+            text = await upnpSoapRequest(controlUrl, RENDERING_CONTROL_SERVICE, `Get${name}`, { InstanceID: 0 });
+        } catch (e) {
+            if (/UPnP error/.test(e.message) && !device.pictureControls.has(key)) {
+                // The TV rejected the action, so it does not support it.
+                device.pictureUnsupported.add(key);
+                await removeStateIfExists(id);
+            }
+            continue;
+        }
+        const value = parseInt(getSoapValue(text, `Current${name}`), 10);
+        if (!Number.isFinite(value)) {
+            continue;
+        }
+        if (!device.pictureControls.has(key)) {
+            device.pictureControls.add(key);
+            await adapter.setObjectNotExistsAsync(`${device.name}.picture`, {
+                type: 'channel',
+                common: { name: 'Picture' },
+                native: {},
+            });
+            const range = (await getPictureRanges(device))[name] || PICTURE_DEFAULT_RANGE;
+            await ensureState(id, name, 'number', 'level', value, false);
+            await adapter.extendObjectAsync(id, { common: { min: range.min, max: range.max } });
+        }
+        await adapter.setStateAsync(id, value, true);
+    }
+}
+
+async function setPictureValue(device, id, key, value) {
+    const name = PICTURE_CONTROLS[key];
+    const level = Math.round(Number(value));
+    if (!name || value === null || value === '' || !Number.isFinite(level)) {
+        return;
+    }
+    const controlUrl = await getRenderingControlUrl(device);
+    if (!controlUrl) {
+        throw new Error('No RenderingControl URL');
+    }
+    const range = (await getPictureRanges(device))[name] || PICTURE_DEFAULT_RANGE;
+    const target = Math.max(range.min, Math.min(range.max, level));
+    await upnpSoapRequest(controlUrl, RENDERING_CONTROL_SERVICE, `Set${name}`, {
+        InstanceID: 0,
+        [`Desired${name}`]: target,
+    });
+    await adapter.setStateAsync(id, target, true);
+}
+
 function deriveRenderingControlEventUrl(controlUrl) {
     if (!controlUrl) {
         return '';
@@ -2460,6 +5024,13 @@ async function ensureRenderingControlUrls(device) {
     if (desc.renderingControlEventUrl) {
         device.renderingControlEventUrl = desc.renderingControlEventUrl;
     }
+    if (desc.renderingControlScpdUrl) {
+        device.renderingControlScpdUrl = desc.renderingControlScpdUrl;
+    }
+    if (!device.avTransportUrl && desc.avTransportUrl) {
+        device.avTransportUrl = desc.avTransportUrl;
+        device.avTransportEventUrl = desc.avTransportEventUrl;
+    }
     if (device.renderingControlUrl && !device.renderingControlEventUrl) {
         const derived = deriveRenderingControlEventUrl(device.renderingControlUrl);
         if (derived) {
@@ -2473,10 +5044,102 @@ async function ensureRenderingControlUrls(device) {
             mac: device.mac,
             renderingControlUrl: device.renderingControlUrl,
             renderingControlEventUrl: device.renderingControlEventUrl,
+            avTransportUrl: device.avTransportUrl,
+            avTransportEventUrl: device.avTransportEventUrl,
         });
     }
 }
 
+async function ensureAvTransportUrls(device) {
+    if (!device || !device.ip || device.avTransportUrl) {
+        return;
+    }
+    const discovered = discoveredByIp.get(device.ip);
+    let desc = discovered && discovered.avTransportUrl ? discovered : null;
+    if (!desc) {
+        const now = Date.now();
+        if (device._avTransportLookupTs && now - device._avTransportLookupTs < 300000) {
+            return;
+        }
+        device._avTransportLookupTs = now;
+        let location = await discoverSsdpLocationForIp(device.ip, AVTRANSPORT_SERVICE, 1200);
+        if (!location) {
+            location = await discoverSsdpLocationForIp(device.ip, 'urn:schemas-upnp-org:device:MediaRenderer:1', 1200);
+        }
+        if (!location) {
+            return;
+        }
+        desc = await fetchUpnpDescription(location, 1500);
+    }
+    if (!desc || !desc.avTransportUrl) {
+        return;
+    }
+    device.avTransportUrl = desc.avTransportUrl;
+    device.avTransportEventUrl = desc.avTransportEventUrl || '';
+    updateConfigDeviceFromDiscovery(device, {
+        id: device.id,
+        ip: device.ip,
+        mac: device.mac,
+        avTransportUrl: device.avTransportUrl,
+        avTransportEventUrl: device.avTransportEventUrl,
+    });
+}
+
+// MainTVAgent2 (2012-2015 sets) lives in its own device description on port 7676.
+async function ensureMainTvAgentUrl(device) {
+    if (!device || !device.ip || device.mainTvAgentUrl) {
+        return;
+    }
+    const discovered = discoveredByIp.get(device.ip);
+    let desc = discovered && discovered.mainTvAgentUrl ? discovered : null;
+    if (!desc) {
+        const now = Date.now();
+        if (device._mainTvAgentLookupTs && now - device._mainTvAgentLookupTs < 300000) {
+            return;
+        }
+        device._mainTvAgentLookupTs = now;
+        const location = await discoverSsdpLocationForIp(device.ip, MAIN_TV_AGENT_SERVICE, 1200);
+        if (!location) {
+            return;
+        }
+        desc = await fetchUpnpDescription(location, 1500);
+    }
+    if (!desc || !desc.mainTvAgentUrl) {
+        return;
+    }
+    device.mainTvAgentUrl = desc.mainTvAgentUrl;
+    updateConfigDeviceFromDiscovery(device, {
+        id: device.id,
+        ip: device.ip,
+        mac: device.mac,
+        mainTvAgentUrl: device.mainTvAgentUrl,
+    });
+}
+
+async function getMainTvAgentUrl(device) {
+    await ensureMainTvAgentUrl(device);
+    return device.mainTvAgentUrl || '';
+}
+
+// MainTVAgent2 answers HTTP 200 with <Result> other than OK when it rejects a call.
+async function mainTvAgentAction(device, action, args = {}) {
+    const controlUrl = await getMainTvAgentUrl(device);
+    if (!controlUrl) {
+        throw new Error('MainTVAgent2 not available');
+    }
+    const text = await upnpSoapRequest(controlUrl, MAIN_TV_AGENT_SERVICE, action, args);
+    const result = getSoapValue(text, 'Result');
+    if (result && result !== 'OK') {
+        throw new Error(`${action} failed (${result})`);
+    }
+    return text;
+}
+
+async function getAvTransportUrl(device) {
+    await ensureAvTransportUrls(device);
+    return device.avTransportUrl || '';
+}
+
 async function getRenderingControlUrl(device) {
     await ensureRenderingControlUrls(device);
     return device.renderingControlUrl || '';
@@ -2533,54 +5196,294 @@ function stopUpnpNotifyServer() {
     upnpNotifyPort = 0;
 }
 
-function cleanupUpnpSubscriptions() {
-    for (const [deviceId, sub] of upnpSubscriptionsByDeviceId.entries()) {
-        if (sub && sub.renewTimer) {
-            clearTimeout(sub.renewTimer);
-        }
-        if (sub && sub.sid) {
-            upnpSidToDeviceId.delete(sub.sid);
-        }
-        if (sub && sub.eventUrl && sub.sid) {
-            upnpUnsubscribe(sub.eventUrl, sub.sid).catch(() => undefined);
-        }
-        upnpSubscriptionsByDeviceId.delete(deviceId);
+function cleanupUpnpSubscriptions() {
+    for (const [key, sub] of upnpSubscriptionsByKey.entries()) {
+        if (sub && sub.renewTimer) {
+            clearTimeout(sub.renewTimer);
+        }
+        if (sub && sub.sid) {
+            upnpSidToDeviceId.delete(sub.sid);
+        }
+        if (sub && sub.eventUrl && sub.sid) {
+            upnpUnsubscribe(sub.eventUrl, sub.sid).catch(() => undefined);
+        }
+        upnpSubscriptionsByKey.delete(key);
+    }
+    upnpSidToDeviceId.clear();
+}
+
+async function ensureUpnpNotifyServer() {
+    if (upnpNotifyServer) {
+        return;
+    }
+
+    upnpNotifyServer = http.createServer((req, res) => {
+        if (!req || req.method !== 'NOTIFY') {
+            res.writeHead(200);
+            res.end('ok');
+            return;
+        }
+
+        let body = '';
+        req.on('data', chunk => {
+            body += chunk.toString();
+        });
+        req.on('end', () => {
+            handleUpnpNotify(req, body).catch(() => undefined);
+            res.writeHead(200);
+            res.end();
+        });
+    });
+
+    await new Promise((resolve, reject) => {
+        upnpNotifyServer.once('error', reject);
+        upnpNotifyServer.listen(0, '0.0.0.0', () => {
+            const addr = upnpNotifyServer.address();
+            upnpNotifyPort = addr && typeof addr === 'object' ? addr.port : 0;
+            resolve();
+        });
+    });
+    adapter.log.debug(`UPnP notify server listening on port ${upnpNotifyPort}`);
+}
+
+function stopMediaServer() {
+    mediaServerStart = null;
+    if (!mediaServer) {
+        return;
+    }
+    try {
+        mediaServer.close();
+    } catch (e) {
+        // ignore
+    }
+    mediaServer = null;
+    mediaServerPort = 0;
+    mediaFiles.clear();
+    mediaStoreCache = null;
+}
+
+// Resolves once the server listens, so mediaServerPort is always set for the caller.
+function ensureMediaServer() {
+    if (!mediaServerStart) {
+        mediaServerStart = startMediaServer().catch(e => {
+            mediaServerStart = null;
+            throw e;
+        });
+    }
+    return mediaServerStart;
+}
+
+async function startMediaServer() {
+    mediaServer = http.createServer((req, res) => {
+        handleMediaRequest(req, res).catch(e => {
+            adapter.log.debug(`Media request ${req.url} failed: ${e.message}`);
+            if (!res.headersSent) {
+                res.writeHead(500);
+            }
+            res.end();
+        });
+    });
+
+    const port = parseInt(adapter.config.mediaServerPort, 10) || 0;
+    await new Promise((resolve, reject) => {
+        mediaServer.once('error', err => {
+            mediaServer = null;
+            reject(err);
+        });
+        mediaServer.listen(port, '0.0.0.0', () => {
+            const addr = mediaServer.address();
+            mediaServerPort = addr && typeof addr === 'object' ? addr.port : 0;
+            resolve();
+        });
+    });
+    adapter.log.debug(`Media server listening on port ${mediaServerPort}`);
+}
+
+// Only files registered by playFile/showImage are served, under a random token.
+async function handleMediaRequest(req, res) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+        res.writeHead(405);
+        res.end();
+        return;
+    }
+    const match = (req.url || '').match(/^\/media\/([0-9a-f]+)\//);
+    const entry = match && mediaFiles.get(match[1]);
+    if (!entry) {
+        res.writeHead(404);
+        res.end();
+        return;
+    }
+
+    let size;
+    let buffer = null;
+    if (entry.source === 'memory') {
+        buffer = entry.data;
+        size = buffer.length;
+    } else if (entry.source === 'store') {
+        buffer = await readMediaStoreFile(entry.meta, entry.path);
+        size = buffer.length;
+    } else {
+        size = (await fs.promises.stat(entry.path)).size;
+    }
+
+    const headers = {
+        'Content-Type': entry.mimeType,
+        'Accept-Ranges': 'bytes',
+        'transferMode.dlna.org': entry.mimeType.startsWith('image/') ? 'Interactive' : 'Streaming',
+        'contentFeatures.dlna.org': 'DLNA.ORG_OP=01;DLNA.ORG_CI=0;DLNA.ORG_FLAGS=01700000000000000000000000000000',
+    };
+    let start = 0;
+    let end = size - 1;
+    let status = 200;
+    if (req.headers.range) {
+        const range = parseByteRange(req.headers.range, size);
+        if (!range) {
+            res.writeHead(416, { 'Content-Range': `bytes */${size}` });
+            res.end();
+            return;
+        }
+        ({ start, end } = range);
+        status = 206;
+        headers['Content-Range'] = `bytes ${start}-${end}/${size}`;
+    }
+    headers['Content-Length'] = size ? end - start + 1 : 0;
+    res.writeHead(status, headers);
+
+    if (req.method === 'HEAD' || !size) {
+        res.end();
+        return;
+    }
+    if (buffer) {
+        res.end(buffer.subarray(start, end + 1));
+        return;
+    }
+    const stream = fs.createReadStream(entry.path, { start, end });
+    stream.on('error', () => res.destroy());
+    stream.pipe(res);
+}
+
+// "iobroker:<meta>/<path>" reads from the ioBroker file store, anything else from the media directory.
+async function resolveMediaFile(ref) {
+    const value = String(ref || '').trim();
+    if (!value) {
+        throw new Error('No file given');
+    }
+    if (value.startsWith(MEDIA_STORE_PREFIX)) {
+        const storePath = value.slice(MEDIA_STORE_PREFIX.length).replace(/^\/+/, '');
+        const slash = storePath.indexOf('/');
+        if (slash <= 0) {
+            throw new Error(`Invalid file store path: ${value}`);
+        }
+        const meta = storePath.slice(0, slash);
+        const filePath = storePath.slice(slash + 1);
+        const size = await getMediaStoreFileSize(meta, filePath);
+        if (size === null) {
+            throw new Error(`File not found: ${value}`);
+        }
+        if (size > MEDIA_STORE_MAX_BYTES) {
+            throw new Error(
+                `File too large for the file store (max. ${MEDIA_STORE_MAX_BYTES / 1024 / 1024} MB): ${value}`,
+            );
+        }
+        // Re-read on every play, so the cache never serves an outdated copy.
+        mediaStoreCache = null;
+        const data = await readMediaStoreFile(meta, filePath);
+        return { source: 'store', meta, path: filePath, name: path.basename(filePath), size: data.length };
+    }
+
+    const dir = (adapter.config.mediaDirectory || '').trim();
+    if (!dir) {
+        throw new Error('No media directory configured');
+    }
+    // Symlinks are resolved first, so a link inside the media directory cannot point elsewhere.
+    const root = await fs.promises.realpath(path.resolve(dir)).catch(() => null);
+    if (!root) {
+        throw new Error(`Media directory not found: ${dir}`);
+    }
+    const target = path.resolve(root, value.replace(/^\/+/, ''));
+    if (!target.startsWith(root + path.sep)) {
+        throw new Error(`File outside media directory: ${value}`);
+    }
+    const filePath = await fs.promises.realpath(target).catch(() => null);
+    if (!filePath) {
+        throw new Error(`File not found: ${value}`);
+    }
+    if (!filePath.startsWith(root + path.sep)) {
+        throw new Error(`File outside media directory: ${value}`);
+    }
+    const stat = await fs.promises.stat(filePath).catch(() => null);
+    if (!stat || !stat.isFile()) {
+        throw new Error(`File not found: ${value}`);
+    }
+    return { source: 'dir', path: filePath, name: path.basename(filePath), size: stat.size };
+}
+
+// null if the file does not exist; readFileAsync would load it completely just to find out its size.
+async function getMediaStoreFileSize(meta, filePath) {
+    const dir = path.posix.dirname(filePath);
+    let entries;
+    try {
+        entries = await adapter.readDirAsync(meta, dir === '.' ? '' : dir);
+    } catch (e) {
+        return null;
+    }
+    const name = path.posix.basename(filePath);
+    const entry = (entries || []).find(item => item.file === name && !item.isDir);
+    if (!entry) {
+        return null;
+    }
+    return Number.isFinite(entry.stats?.size) ? entry.stats.size : 0;
+}
+
+// Range requests of the TV would otherwise read the whole file for every chunk.
+async function readMediaStoreFile(meta, filePath) {
+    if (mediaStoreCache && mediaStoreCache.meta === meta && mediaStoreCache.path === filePath) {
+        return mediaStoreCache.data;
     }
-    upnpSidToDeviceId.clear();
+    const result = await adapter.readFileAsync(meta, filePath);
+    const data = Buffer.isBuffer(result?.file) ? result.file : Buffer.from(result?.file || '');
+    if (data.length > MEDIA_STORE_MAX_BYTES) {
+        throw new Error(
+            `File too large for the file store (max. ${MEDIA_STORE_MAX_BYTES / 1024 / 1024} MB): ${filePath}`,
+        );
+    }
+    mediaStoreCache = { meta, path: filePath, data };
+    return data;
 }
 
-async function ensureUpnpNotifyServer() {
-    if (upnpNotifyServer) {
-        return;
+async function publishMediaFile(device, ref) {
+    const file = await resolveMediaFile(ref);
+    const mimeType = guessMimeType(file.name);
+    if (!mimeType) {
+        throw new Error(`Unsupported media type: ${file.name}`);
     }
+    return publishMediaEntry(device, { ...file, mimeType });
+}
 
-    upnpNotifyServer = http.createServer((req, res) => {
-        if (!req || req.method !== 'NOTIFY') {
-            res.writeHead(200);
-            res.end('ok');
-            return;
-        }
+async function publishMediaEntry(device, entry) {
+    await ensureMediaServer();
+    const localIp = (await getLocalIpForTarget(device.ip)) || getFirstLocalIp();
+    if (!localIp || !mediaServerPort) {
+        throw new Error('Media server not reachable');
+    }
 
-        let body = '';
-        req.on('data', chunk => {
-            body += chunk.toString();
-        });
-        req.on('end', () => {
-            handleUpnpNotify(req, body).catch(() => undefined);
-            res.writeHead(200);
-            res.end();
-        });
-    });
+    const token = crypto.randomBytes(16).toString('hex');
+    mediaFiles.set(token, entry);
+    while (mediaFiles.size > MEDIA_FILES_MAX) {
+        mediaFiles.delete(mediaFiles.keys().next().value);
+    }
+    return {
+        url: `http://${localIp}:${mediaServerPort}/media/${token}/${encodeURIComponent(entry.name)}`,
+        title: entry.name,
+        mimeType: entry.mimeType,
+        token,
+    };
+}
 
-    await new Promise((resolve, reject) => {
-        upnpNotifyServer.once('error', reject);
-        upnpNotifyServer.listen(0, '0.0.0.0', () => {
-            const addr = upnpNotifyServer.address();
-            upnpNotifyPort = addr && typeof addr === 'object' ? addr.port : 0;
-            resolve();
-        });
-    });
-    adapter.log.debug(`UPnP notify server listening on port ${upnpNotifyPort}`);
+async function playFile(device, ref) {
+    const media = await publishMediaFile(device, ref);
+    adapter.log.debug(`Serving ${media.title} to ${device.name}: ${media.url}`);
+    await playUrl(device, media);
 }
 
 async function getLocalIpForTarget(targetIp) {
@@ -2677,29 +5580,32 @@ async function handleUpnpNotify(req, body) {
     if (!device) {
         return;
     }
+    await applyAvTransportChange(device, parseAvTransportLastChange(body));
     const { volume, muted } = parseUpnpLastChange(body);
     if (typeof volume === 'number' && Number.isFinite(volume)) {
+        checkVolumeFadeInterference(device, volume);
         device.lastKnownVolume = volume;
-        await adapter.setStateAsync(`${device.name}.state.volume`, volume, true);
+        await setVolumeState(device, volume);
+        enforceVolumeLimit(device, volume);
     }
     if (typeof muted === 'boolean') {
         device.lastKnownMuted = muted;
-        await adapter.setStateAsync(`${device.name}.state.muted`, muted, true);
+        await setMutedState(device, muted);
     }
     await adapter.setStateAsync(`${device.name}.info.online`, true, true);
     markSeen(device);
     adapter.log.debug(`UPnP notify for ${device.name}: volume=${volume ?? '-'} muted=${muted ?? '-'}`);
 }
 
-function dropUpnpSubscription(deviceId) {
-    const sub = upnpSubscriptionsByDeviceId.get(deviceId);
+function dropUpnpSubscription(key) {
+    const sub = upnpSubscriptionsByKey.get(key);
     if (!sub) {
         return;
     }
     if (sub.renewTimer) {
         clearTimeout(sub.renewTimer);
     }
-    upnpSubscriptionsByDeviceId.delete(deviceId);
+    upnpSubscriptionsByKey.delete(key);
     if (sub.sid) {
         upnpSidToDeviceId.delete(sub.sid);
     }
@@ -2712,16 +5618,27 @@ async function ensureUpnpEventSubscription(device) {
     if (!device || device.api !== 'hj' || !device.ip) {
         return;
     }
-    await ensureUpnpNotifyServer();
-    if (!upnpNotifyPort) {
+    const eventUrl = await getRenderingControlEventUrl(device);
+    await subscribeUpnpEvents(device, device.id, eventUrl);
+}
+
+async function ensureAvTransportSubscription(device) {
+    if (!device || !device.ip || !device.avTransportEventUrl) {
         return;
     }
-    const eventUrl = await getRenderingControlEventUrl(device);
+    await subscribeUpnpEvents(device, `${device.id}|AVTransport`, device.avTransportEventUrl);
+}
+
+async function subscribeUpnpEvents(device, key, eventUrl) {
     if (!eventUrl) {
         return;
     }
+    await ensureUpnpNotifyServer();
+    if (!upnpNotifyPort) {
+        return;
+    }
 
-    const existing = upnpSubscriptionsByDeviceId.get(device.id);
+    const existing = upnpSubscriptionsByKey.get(key);
     const now = Date.now();
     if (
         existing &&
@@ -2734,7 +5651,7 @@ async function ensureUpnpEventSubscription(device) {
     }
 
     if (existing) {
-        dropUpnpSubscription(device.id);
+        dropUpnpSubscription(key);
     }
 
     const localIp = (await getLocalIpForTarget(device.ip)) || getFirstLocalIp();
@@ -2751,14 +5668,14 @@ async function ensureUpnpEventSubscription(device) {
     const timeoutSec = sub.timeoutSec || 300;
     const expiresAt = Date.now() + timeoutSec * 1000;
     const renewDelay = Math.max(30000, Math.floor(timeoutSec * 0.8) * 1000);
-    const renewTimer = setTimeout(() => renewUpnpSubscription(device.id), renewDelay);
+    const renewTimer = setTimeout(() => renewUpnpSubscription(key), renewDelay);
 
-    upnpSubscriptionsByDeviceId.set(device.id, { sid: sub.sid, eventUrl, expiresAt, renewTimer });
+    upnpSubscriptionsByKey.set(key, { sid: sub.sid, eventUrl, expiresAt, renewTimer });
     adapter.log.debug(`UPnP subscribed for ${device.name}: sid=${sub.sid} timeout=${timeoutSec}s`);
 }
 
-async function renewUpnpSubscription(deviceId) {
-    const sub = upnpSubscriptionsByDeviceId.get(deviceId);
+async function renewUpnpSubscription(key) {
+    const sub = upnpSubscriptionsByKey.get(key);
     if (!sub || !sub.sid || !sub.eventUrl) {
         return;
     }
@@ -2766,12 +5683,12 @@ async function renewUpnpSubscription(deviceId) {
         const timeoutSec = (await upnpRenew(sub.eventUrl, sub.sid)) || 300;
         sub.expiresAt = Date.now() + timeoutSec * 1000;
         const renewDelay = Math.max(30000, Math.floor(timeoutSec * 0.8) * 1000);
-        sub.renewTimer = setTimeout(() => renewUpnpSubscription(deviceId), renewDelay);
-        upnpSubscriptionsByDeviceId.set(deviceId, sub);
-        adapter.log.debug(`UPnP renewed for ${deviceId}: sid=${sub.sid} timeout=${timeoutSec}s`);
+        sub.renewTimer = setTimeout(() => renewUpnpSubscription(key), renewDelay);
+        upnpSubscriptionsByKey.set(key, sub);
+        adapter.log.debug(`UPnP renewed for ${key}: sid=${sub.sid} timeout=${timeoutSec}s`);
     } catch (e) {
-        adapter.log.debug(`UPnP renew failed for ${deviceId}: ${e.message}`);
-        dropUpnpSubscription(deviceId);
+        adapter.log.debug(`UPnP renew failed for ${key}: ${e.message}`);
+        dropUpnpSubscription(key);
     }
 }
 
@@ -2903,6 +5820,472 @@ async function upnpGetRenderingControlValue(controlUrl, action, tagName) {
     }
 }
 
+async function upnpSoapRequest(controlUrl, serviceType, action, args = {}, timeoutMs = 3000) {
+    const argXml = Object.entries(args)
+        .map(([name, value]) => `      <${name}>${escapeXml(String(value))}</${name}>`)
+        .join('\n');
+    const body = `<?xml version="1.0" encoding="utf-8"?>
+<s:Envelope xmlns:s="http://schemas.xmlsoap.org/soap/envelope/" s:encodingStyle="http://schemas.xmlsoap.org/soap/encoding/">
+  <s:Body>
+    <u:${action} xmlns:u="${serviceType}">
+${argXml}
+    </u:${action}>
+  </s:Body>
+</s:Envelope>`;
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+        const response = await fetch(controlUrl, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'text/xml; charset="utf-8"',
+                SOAPACTION: `"${serviceType}#${action}"`,
+            },
+            body,
+            signal: controller.signal,
+        });
+        const text = await response.text();
+        if (!response.ok) {
+            const code = text.match(/<errorCode>(\d+)<\/errorCode>/i);
+            throw new Error(`${action} failed (${code ? `UPnP error ${code[1]}` : `status ${response.status}`})`);
+        }
+        return text;
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+function getSoapValue(text, tagName) {
+    const match = (text || '').match(new RegExp(`<${tagName}>([^<]*)</${tagName}>`, 'i'));
+    return match ? decodeXmlEntities(match[1]) : null;
+}
+
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+async function avTransportAction(device, action, args = {}) {
+    const controlUrl = await getAvTransportUrl(device);
+    if (!controlUrl) {
+        throw new Error('AVTransport not available');
+    }
+    return upnpSoapRequest(controlUrl, AVTRANSPORT_SERVICE, action, { InstanceID: 0, ...args });
+}
+
+function guessMimeType(nameOrUrl) {
+    let pathname = nameOrUrl || '';
+    try {
+        pathname = new URL(nameOrUrl).pathname;
+    } catch (e) {
+        // plain file name
+    }
+    const ext = pathname.split('.').pop().toLowerCase();
+    return MEDIA_MIME_TYPES[ext] || '';
+}
+
+function buildDidlMetadata(url, mimeType, title) {
+    let upnpClass = 'object.item.videoItem';
+    if (mimeType.startsWith('audio/')) {
+        upnpClass = 'object.item.audioItem.musicTrack';
+    } else if (mimeType.startsWith('image/')) {
+        upnpClass = 'object.item.imageItem.photo';
+    }
+    return (
+        '<DIDL-Lite xmlns="urn:schemas-upnp-org:metadata-1-0/DIDL-Lite/" ' +
+        'xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:upnp="urn:schemas-upnp-org:metadata-1-0/upnp/">' +
+        '<item id="0" parentID="-1" restricted="1">' +
+        `<dc:title>${escapeXml(title)}</dc:title>` +
+        `<upnp:class>${upnpClass}</upnp:class>` +
+        `<res protocolInfo="http-get:*:${mimeType}:*">${escapeXml(url)}</res>` +
+        '</item></DIDL-Lite>'
+    );
+}
+
+async function playUrl(device, request) {
+    const mimeType = request.mimeType || guessMimeType(request.url) || 'video/mp4';
+    let title = request.title;
+    if (!title) {
+        try {
+            title = decodeURIComponent(request.url.split('/').pop().split('?')[0]);
+        } catch (e) {
+            title = '';
+        }
+    }
+    title = title || 'ioBroker';
+    try {
+        // Most sets refuse a new URI while something is still playing.
+        await avTransportAction(device, 'Stop');
+    } catch (e) {
+        // ignore
+    }
+    await avTransportAction(device, 'SetAVTransportURI', {
+        CurrentURI: request.url,
+        CurrentURIMetaData: buildDidlMetadata(request.url, mimeType, title),
+    });
+    await avTransportAction(device, 'Play', { Speed: 1 });
+    markSeen(device);
+    ensureAvTransportSubscription(device).catch(e =>
+        adapter.log.debug(`AVTransport subscribe failed for ${device.name}: ${e.message}`),
+    );
+    startMediaPositionPolling(device);
+}
+
+async function mediaCommand(device, action) {
+    if (action === 'Play') {
+        await avTransportAction(device, 'Play', { Speed: 1 });
+    } else {
+        await avTransportAction(device, action);
+    }
+    await refreshMediaStatus(device);
+}
+
+async function mediaSeek(device, value) {
+    const seconds = parseMediaTime(value);
+    if (seconds === null) {
+        throw new Error(`Invalid seek position: ${value}`);
+    }
+    await avTransportAction(device, 'Seek', { Unit: 'REL_TIME', Target: formatMediaTime(seconds) });
+    await refreshMediaStatus(device);
+}
+
+async function refreshMediaStatus(device) {
+    const transport = await avTransportAction(device, 'GetTransportInfo');
+    const position = await avTransportAction(device, 'GetPositionInfo');
+    await applyAvTransportChange(device, {
+        state: getSoapValue(transport, 'CurrentTransportState'),
+        duration: parseMediaTime(getSoapValue(position, 'TrackDuration')),
+        position: parseMediaTime(getSoapValue(position, 'RelTime')),
+    });
+}
+
+function parseAvTransportLastChange(body) {
+    const lastChangeMatch = (body || '').match(/<LastChange>([\s\S]*?)<\/LastChange>/i);
+    if (!lastChangeMatch || !lastChangeMatch[1]) {
+        return {};
+    }
+    const lastChange = decodeXmlEntities(lastChangeMatch[1]);
+    const value = tag => {
+        const match = lastChange.match(new RegExp(`<${tag}[^>]*\\bval=["']([^"']*)["']`, 'i'));
+        return match ? match[1] : null;
+    };
+    return {
+        state: value('TransportState'),
+        duration: parseMediaTime(value('CurrentTrackDuration') ?? value('CurrentMediaDuration')),
+    };
+}
+
+async function applyAvTransportChange(device, change) {
+    const base = `${device.name}.media`;
+    if (change.state) {
+        device.mediaState = change.state;
+        await adapter.setStateAsync(`${base}.state`, change.state, true);
+        if (change.state === 'PLAYING' || change.state === 'TRANSITIONING') {
+            startMediaPositionPolling(device);
+        } else {
+            stopMediaPositionPolling(device);
+        }
+    }
+    if (typeof change.duration === 'number') {
+        await adapter.setStateAsync(`${base}.duration`, change.duration, true);
+    }
+    if (typeof change.position === 'number') {
+        await adapter.setStateAsync(`${base}.position`, change.position, true);
+    }
+}
+
+// RelativeTimePosition is not evented, so poll it while something plays.
+function startMediaPositionPolling(device) {
+    if (device.mediaPositionTimer) {
+        return;
+    }
+    device.mediaPositionTimer = setInterval(() => {
+        refreshMediaStatus(device).catch(e => {
+            adapter.log.debug(`Media status failed for ${device.name}: ${e.message}`);
+            stopMediaPositionPolling(device);
+        });
+    }, MEDIA_POSITION_INTERVAL);
+}
+
+function stopMediaPositionPolling(device) {
+    if (device.mediaPositionTimer) {
+        clearInterval(device.mediaPositionTimer);
+        device.mediaPositionTimer = null;
+    }
+}
+
+function formatMediaTime(seconds) {
+    const pad = value => String(value).padStart(2, '0');
+    return `${Math.floor(seconds / 3600)}:${pad(Math.floor((seconds % 3600) / 60))}:${pad(seconds % 60)}`;
+}
+
+async function upnpSetVolume(controlUrl, volume) {
+    await upnpSoapRequest(controlUrl, RENDERING_CONTROL_SERVICE, 'SetVolume', {
+        InstanceID: 0,
+        Channel: 'Master',
+        DesiredVolume: Math.max(0, Math.min(100, Math.round(volume))),
+    });
+}
+
+async function upnpSetMute(controlUrl, muted) {
+    await upnpSoapRequest(controlUrl, RENDERING_CONTROL_SERVICE, 'SetMute', {
+        InstanceID: 0,
+        Channel: 'Master',
+        DesiredMute: muted ? 1 : 0,
+    });
+}
+
+async function readCurrentAudio(device) {
+    const upnp = await readUpnpAudioStatus(device).catch(() => null);
+    const volumeState = await adapter.getStateAsync(`${device.name}.state.volume`);
+    const mutedState = await adapter.getStateAsync(`${device.name}.state.muted`);
+    return {
+        volume: upnp?.volume ?? (typeof volumeState?.val === 'number' ? volumeState.val : null),
+        muted: upnp?.muted ?? (typeof mutedState?.val === 'boolean' ? mutedState.val : null),
+    };
+}
+
+// What is on screen right now, so it can be brought back after an interruption.
+async function captureScreenContext(device) {
+    if (device.api === 'tizen') {
+        await refreshTizenForegroundApp(device).catch(() => undefined);
+    }
+    const sourceState = await adapter.getStateAsync(`${device.name}.state.source`);
+    return {
+        appId: device.api === 'tizen' ? device.foregroundAppId || '' : '',
+        source: typeof sourceState?.val === 'string' ? sourceState.val : '',
+    };
+}
+
+async function restoreScreenContext(device, context) {
+    if (context.appId) {
+        await launchApp(device, context.appId);
+        return;
+    }
+    if (context.source && (isSmartThingsEnabled(device) || device.mainTvAgentUrl)) {
+        await selectSource(device, context.source);
+    }
+}
+
+// The announcement is watched outside the device queue, so other commands keep working while it plays.
+async function announce(device, request) {
+    const media = request.file ? await publishMediaFile(device, request.file) : request;
+
+    // A second announcement while one plays keeps what was captured before the first one.
+    const previous = device.announceRun;
+    if (previous) {
+        clearTimeout(previous.timer);
+    }
+    const run = previous
+        ? { ...previous, timer: null, started: Date.now(), playing: false }
+        : {
+              audio: await readCurrentAudio(device),
+              screen: await captureScreenContext(device),
+              controlUrl: await getRenderingControlUrl(device),
+              volumeChanged: false,
+              unmuted: false,
+              timer: null,
+              started: Date.now(),
+              playing: false,
+          };
+    device.announceRun = run;
+
+    try {
+        if (request.volume !== null) {
+            await setAnnouncementVolume(device, run, await clampVolume(device, request.volume));
+        }
+        if (run.controlUrl && run.audio.muted === true && !run.unmuted) {
+            await upnpSetMute(run.controlUrl, false);
+            run.unmuted = true;
+        }
+        await playUrl(device, media);
+    } catch (e) {
+        if (device.announceRun === run) {
+            device.announceRun = null;
+            await restoreAnnouncement(device, run);
+        }
+        throw e;
+    }
+    scheduleAnnouncementCheck(device, run);
+}
+
+async function setAnnouncementVolume(device, run, volume) {
+    if (!run.controlUrl) {
+        adapter.log.debug(`No RenderingControl on ${device.name}, announcing at current volume`);
+        return;
+    }
+    if (run.audio.volume === null) {
+        run.audio.volume =
+            (await upnpGetRenderingControlValue(run.controlUrl, 'GetVolume', 'CurrentVolume').catch(() => null)) ??
+            (await getCurrentVolume(device));
+    }
+    // Without the previous volume it could not be restored afterwards.
+    if (typeof run.audio.volume !== 'number') {
+        adapter.log.debug(`Volume of ${device.name} unknown, announcing at current volume`);
+        return;
+    }
+    if (volume !== run.audio.volume || run.volumeChanged) {
+        await upnpSetVolume(run.controlUrl, volume);
+        run.volumeChanged = true;
+    }
+}
+
+function scheduleAnnouncementCheck(device, run) {
+    run.timer = setTimeout(() => {
+        run.timer = null;
+        checkAnnouncement(device, run).catch(e =>
+            adapter.log.warn(`Failed to restore ${device.name} after announcement: ${e.message}`),
+        );
+    }, 1000);
+}
+
+async function checkAnnouncement(device, run) {
+    if (device.announceRun !== run) {
+        return;
+    }
+    let ended = Date.now() - run.started > ANNOUNCE_MAX_DURATION;
+    if (!ended) {
+        try {
+            await refreshMediaStatus(device);
+            if (device.mediaState === 'PLAYING' || device.mediaState === 'TRANSITIONING') {
+                run.playing = true;
+            } else {
+                ended = run.playing || Date.now() - run.started > ANNOUNCE_START_TIMEOUT;
+            }
+        } catch (e) {
+            ended = true;
+        }
+    }
+    if (device.announceRun !== run) {
+        return;
+    }
+    if (!ended) {
+        scheduleAnnouncementCheck(device, run);
+        return;
+    }
+    device.announceRun = null;
+    await enqueueDeviceCommand(device, async () => {
+        try {
+            await avTransportAction(device, 'Stop');
+        } catch (e) {
+            // ignore
+        }
+        await restoreAnnouncement(device, run);
+    });
+}
+
+// control.mediaStop ends a running announcement right away.
+async function stopAnnouncement(device) {
+    const run = device.announceRun;
+    if (!run) {
+        return;
+    }
+    clearTimeout(run.timer);
+    device.announceRun = null;
+    await restoreAnnouncement(device, run);
+}
+
+async function restoreAnnouncement(device, run) {
+    try {
+        if (run.volumeChanged) {
+            await upnpSetVolume(run.controlUrl, run.audio.volume);
+        }
+        if (run.unmuted) {
+            await upnpSetMute(run.controlUrl, true);
+        }
+        await restoreScreenContext(device, run.screen);
+    } catch (e) {
+        adapter.log.warn(`Failed to restore ${device.name} after announcement: ${e.message}`);
+    }
+}
+
+// Snapshots are fetched by the adapter, cameras are often not reachable for the TV or need credentials.
+async function downloadImage(url) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), SHOW_IMAGE_FETCH_TIMEOUT);
+    try {
+        // size makes node-fetch stop reading once the limit is exceeded, also without a Content-Length.
+        const resp = await fetch(url, { signal: controller.signal, size: SHOW_IMAGE_MAX_BYTES });
+        if (!resp.ok) {
+            throw new Error(`HTTP ${resp.status}`);
+        }
+        if (parseInt(resp.headers.get('content-length'), 10) > SHOW_IMAGE_MAX_BYTES) {
+            controller.abort();
+            throw new Error('Image too large');
+        }
+        const data = await resp.buffer().catch(e => {
+            controller.abort();
+            throw e.type === 'max-size' ? new Error('Image too large') : e;
+        });
+        const type = detectImageType(data);
+        if (!type) {
+            throw new Error('Not a JPEG or PNG image');
+        }
+        return { data, type };
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+async function showImage(device, request) {
+    let media;
+    if (request.file) {
+        media = await publishMediaFile(device, request.file);
+        if (!media.mimeType.startsWith('image/')) {
+            throw new Error(`Not an image: ${request.file}`);
+        }
+    } else {
+        const image = await downloadImage(request.url);
+        media = await publishMediaEntry(device, {
+            source: 'memory',
+            data: image.data,
+            name: `image.${image.type}`,
+            mimeType: image.type === 'png' ? 'image/png' : 'image/jpeg',
+        });
+    }
+    // Downloaded snapshots live in memory only while they are shown.
+    const memoryToken = request.file ? '' : media.token;
+
+    // A second image while one is shown keeps the screen captured before the first one.
+    const previous = device.showImageRun;
+    if (previous) {
+        clearTimeout(previous.timer);
+        mediaFiles.delete(previous.memoryToken);
+    }
+    const screen = previous ? previous.screen : await captureScreenContext(device);
+    device.showImageRun = { screen, timer: null, memoryToken };
+    try {
+        await playUrl(device, media);
+    } catch (e) {
+        mediaFiles.delete(memoryToken);
+        device.showImageRun = null;
+        await restoreScreenContext(device, screen).catch(() => undefined);
+        throw e;
+    }
+
+    const run = device.showImageRun;
+    run.timer = setTimeout(() => {
+        if (device.showImageRun !== run) {
+            return;
+        }
+        device.showImageRun = null;
+        mediaFiles.delete(run.memoryToken);
+        enqueueDeviceCommand(device, async () => {
+            try {
+                await avTransportAction(device, 'Stop');
+            } catch (e) {
+                // ignore
+            }
+            await restoreScreenContext(device, run.screen);
+        }).catch(e => adapter.log.warn(`Failed to restore ${device.name} after image: ${e.message}`));
+    }, request.duration * 1000);
+}
+
 async function fetchWithTimeout(url, timeoutMs, options = {}) {
     const controller = new AbortController();
     const timer = setTimeout(() => controller.abort(), timeoutMs);